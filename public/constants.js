@@ -99,6 +99,7 @@ function createSocket() {
       return this;
     },
     connect(wsUrl)          { _connect(wsUrl); },
+    close()                 { _wsUrl = null; if (_ws) _ws.close(); },  // stop reconnecting; connect() may be called again
     destroy()               { _destroyed = true; _wsUrl = null; if (_ws) _ws.close(); },
     get connected()         { return _ws && _ws.readyState === WebSocket.OPEN; },
   };
@@ -397,13 +398,20 @@ function launchConfetti() {
 }
 
 // ── Leaderboard ────────────────────────────────────────────────────────────
+// Round delta as shown next to a score: "+850", "−250" (negative marking) or ""
+function formatDelta(delta) {
+  if (delta > 0) return `+${delta.toLocaleString()}`;
+  if (delta < 0) return `\u2212${Math.abs(delta).toLocaleString()}`;
+  return '';
+}
+
 function buildLeaderboard(leaderboard, selfName = null) {
   const rankLabel = (i) => i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
   const rankClass = (i) => i === 0 ? 'gold' : i === 1 ? 'silver' : i === 2 ? 'bronze' : '';
 
   return leaderboard.map((p, i) => {
     const isSelf   = selfName && p.name === selfName;
-    const delta    = p.delta > 0 ? `+${p.delta.toLocaleString()}` : '';
+    const delta    = formatDelta(p.delta || 0);
     const streak   = (p.streak || 0) >= 2 ? `<span class="lb-streak">🔥${p.streak}</span>` : '';
     const pct      = leaderboard[0]?.score > 0
       ? Math.round((p.score / leaderboard[0].score) * 100) : 0;
@@ -417,7 +425,7 @@ function buildLeaderboard(leaderboard, selfName = null) {
         <span class="lb-rank ${rankClass(i)}">${rankLabel(i)}</span>
         <span class="lb-name">${escHtml(p.name)}${streak}</span>
         <span class="lb-score">${p.score.toLocaleString()}</span>
-        ${delta ? `<span class="lb-delta">${delta}</span>` : '<span class="lb-delta"></span>'}
+        <span class="lb-delta${p.delta < 0 ? ' negative' : ''}">${delta}</span>
       </li>`;
   }).join('');
 }
@@ -435,7 +443,7 @@ function buildRaceLeaderboard(leaderboard, prevLeaderboard = [], selfName = null
     const pct      = maxScore > 0 ? Math.round((p.score / maxScore) * 100) : 0;
     const color    = playerColor(p.name);
     const initials = playerInitials(p.name);
-    const delta    = p.delta > 0 ? `+${p.delta.toLocaleString()}` : '';
+    const delta    = formatDelta(p.delta || 0);
     const streak   = (p.streak || 0) >= 2 ? `<span class="lb-streak">\ud83d\udd25${p.streak}</span>` : '';
     // Reverse stagger: best player (#1) slides in last for dramatic reveal
     const delay    = ((total - 1 - i) * 0.07).toFixed(2);
@@ -463,7 +471,7 @@ function buildRaceLeaderboard(leaderboard, prevLeaderboard = [], selfName = null
       </div>
       <div class="race-score-col">
         <span class="race-score">${p.score.toLocaleString()}</span>
-        ${delta ? `<span class="race-delta">${delta}</span>` : ''}
+        ${delta ? `<span class="race-delta${p.delta < 0 ? ' negative' : ''}">${delta}</span>` : ''}
       </div>
     </div>`;
   }).join('');
@@ -490,6 +498,185 @@ function buildPodium(leaderboard) {
   </div>`;
 }
 
+// ── Teams ──────────────────────────────────────────────────────────────────
+// Server team IDs are t1…t6 with names Lime, Orange, Gold, Mint, Sky, Rose
+const TEAM_COLORS = ['#b8ff3c', '#ff5c1a', '#ffd23f', '#00e8a0', '#4cc9ff', '#ff5c8a'];
+
+function teamColor(teamId) {
+  const idx = parseInt(String(teamId || '').slice(1)) - 1;
+  return TEAM_COLORS[idx] || 'var(--surface-4)';
+}
+
+function buildTeamLeaderboard(teamLeaderboard) {
+  const maxScore = teamLeaderboard[0]?.score || 1;
+  return teamLeaderboard.map((t, i) => {
+    const pct   = maxScore > 0 ? Math.round((t.score / maxScore) * 100) : 0;
+    const delta = formatDelta(t.delta || 0);
+    const rank  = i === 0 ? '\ud83e\udd47' : i === 1 ? '\ud83e\udd48' : i === 2 ? '\ud83e\udd49' : `#${i + 1}`;
+    return `<div class="race-row team-row${i === 0 ? ' is-leader' : ''}" style="--race-delay:0s;--pct:${pct}%;">
+      <div class="race-rank"><span>${rank}</span></div>
+      <div class="race-avatar" style="background:${teamColor(t.id)};">${escHtml(t.name.charAt(0))}</div>
+      <div class="race-info">
+        <div class="race-name">Team ${escHtml(t.name)} <span class="team-size">${t.size} player${t.size === 1 ? '' : 's'}</span></div>
+        <div class="race-bar-track"><div class="race-bar-fill" style="background:${teamColor(t.id)};"></div></div>
+      </div>
+      <div class="race-score-col">
+        <span class="race-score">${t.score.toLocaleString()}</span>
+        ${delta ? `<span class="race-delta${t.delta < 0 ? ' negative' : ''}">${delta}</span>` : ''}
+      </div>
+    </div>`;
+  }).join('');
+}
+
+// Team variant of buildPodium — same layout, team swatch instead of a player avatar
+function buildTeamPodium(teamLeaderboard) {
+  const slot = (t, cls, rankEmoji) => {
+    if (!t) return `<div class="podium-place ${cls}"></div>`;
+    return `
+      <div class="podium-place ${cls}">
+        <div class="podium-avatar" style="background:${teamColor(t.id)};">${escHtml(t.name.charAt(0))}</div>
+        <div class="podium-name">Team ${escHtml(t.name)}</div>
+        <div class="podium-score">${t.score.toLocaleString()} pts</div>
+        <div class="podium-block"><span class="podium-rank">${rankEmoji}</span></div>
+      </div>`;
+  };
+  return `<div class="podium">
+    ${slot(teamLeaderboard[1], 'p2', '🥈')}
+    ${slot(teamLeaderboard[0], 'p1', '🥇')}
+    ${slot(teamLeaderboard[2], 'p3', '🥉')}
+  </div>`;
+}
+
+// Estimation answers: locale digits plus the question's unit, e.g. "1,969" or "42 km"
+function formatNumberAnswer(value, unit) {
+  const n = Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 });
+  return unit ? `${n} ${unit}` : n;
+}
+
+// Uploaded images come from the game server (imagePath); others are plain URLs in the quiz
+function questionImageSrc(q) {
+  return q.imagePath ? GAME_SERVER_URL + q.imagePath : q.imageUrl || null;
+}
+
+// Picture on an answer tile (choice and poll options can carry one), beside the
+// shape badge and label so the colour / letter cues stay
+function optionImageHtml(opt) {
+  return opt.imagePath ? `<img class="answer-image" src="${escHtml(GAME_SERVER_URL + opt.imagePath)}" alt="" draggable="false" />` : '';
+}
+
+// Load and decode a question's media ahead of question:show (sent as question:prefetch).
+// Resolves once it's ready or has failed; the last few stay referenced so they stay decoded.
+// Pass withClips = false where the question's audio / video won't be played.
+const _preloaded = new Map(); // src -> { img | clip, ready }
+function preloadQuestionMedia(q, withClips = true) {
+  const loads = [];
+  const imageSrcs = [questionImageSrc(q), ...(q.optionImages || []).map(path => GAME_SERVER_URL + path)];
+  for (const src of imageSrcs.filter(Boolean)) {
+    if (!_preloaded.has(src)) {
+      const img = new Image();
+      img.src = src;
+      _preloaded.set(src, { img, ready: img.decode().catch(() => {}) });
+    }
+    loads.push(_preloaded.get(src).ready);
+  }
+  const clipSrc = withClips ? questionClipSrc(q) : null;
+  if (clipSrc) {
+    if (!_preloaded.has(clipSrc)) {
+      const clip = createClip(q, clipSrc);
+      // Enough buffered to play through, or give up after 10 s and stream it
+      const ready = new Promise(resolve => {
+        clip.addEventListener('canplaythrough', resolve, { once: true });
+        clip.addEventListener('error', resolve, { once: true });
+        setTimeout(resolve, 10000);
+      });
+      _preloaded.set(clipSrc, { clip, ready });
+    }
+    loads.push(_preloaded.get(clipSrc).ready);
+  }
+  while (_preloaded.size > 12) _preloaded.delete(_preloaded.keys().next().value);
+  return Promise.all(loads);
+}
+
+// ── Answer explanations ───────────────────────────────────────────────────
+// Why the answer is right, sent with question:reveal (never with the question).
+// The source is only linked when it's an http(s) URL.
+function showExplanation(box, { explanation, sourceUrl, format } = {}) {
+  box.innerHTML = '';
+  const link = /^https?:\/\//i.test(sourceUrl || '') ? sourceUrl : null;
+  box.classList.toggle('hidden', !explanation && !link);
+  if (explanation) {
+    const text = document.createElement('div');
+    text.className = 'explanation-text';
+    text.innerHTML = richText(explanation, format);
+    box.appendChild(text);
+  }
+  if (link) {
+    const a = document.createElement('a');
+    a.className = 'explanation-source';
+    a.href   = link;
+    a.target = '_blank';
+    a.rel    = 'noopener noreferrer';
+    try { a.textContent = `Source: ${new URL(link).hostname} \u2197`; } catch { return; }
+    box.appendChild(a);
+  }
+}
+
+// ── Question clips (audio / video) ────────────────────────────────────────
+// The MP3 / AAC / Ogg / WAV / MP4 / WebM a clip file claims to be, by its magic
+// bytes (same checks as the game room's)
+function clipMime(kind, b) {
+  const ascii = (from, to) => String.fromCharCode(...b.slice(from, to));
+  if (ascii(4, 8) === 'ftyp') return `${kind}/mp4`;
+  if (b[0]===0x1A && b[1]===0x45 && b[2]===0xDF && b[3]===0xA3) return `${kind}/webm`;
+  if (kind === 'video') return null;
+  if (ascii(0, 3) === 'ID3' || (b[0]===0xFF && (b[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  return null;
+}
+
+function questionClipSrc(q) {
+  const path = q.videoPath || q.audioPath;
+  return path ? GAME_SERVER_URL + path : null;
+}
+
+function createClip(q, src) {
+  const clip = document.createElement(q.videoPath ? 'video' : 'audio');
+  clip.preload = 'auto';
+  clip.playsInline = true;
+  clip.src = src;
+  return clip;
+}
+
+// Put a question's clip into `wrap` and start it, reusing the preloaded element so
+// it plays straight away. Returns the element, or null when the question has none.
+// Muted clips play without controls, for screens showing a video the host's
+// speakers are already playing.
+function mountQuestionClip(wrap, q, { muted = false } = {}) {
+  wrap.innerHTML = '';
+  const src = questionClipSrc(q);
+  wrap.classList.toggle('hidden', !src);
+  if (!src) return null;
+  const clip = _preloaded.get(src)?.clip || createClip(q, src);
+  clip.muted    = muted;
+  clip.controls = !muted;
+  clip.currentTime = 0;
+  wrap.appendChild(clip);
+  // Autoplay can be refused on a page nobody has tapped yet; the controls still work
+  clip.play().catch(() => {});
+  return clip;
+}
+
+// Clips follow the round: paused with the game, and at the reveal
+function pauseQuestionClip(wrap) {
+  wrap.querySelector('audio, video')?.pause();
+}
+
+function resumeQuestionClip(wrap) {
+  const clip = wrap.querySelector('audio, video');
+  if (clip && !clip.ended) clip.play().catch(() => {});
+}
+
 function escHtml(str) {
   return String(str)
     .replace(/&/g,'&amp;')
@@ -498,6 +685,269 @@ function escHtml(str) {
     .replace(/"/g,'&quot;');
 }
 
+// ── Big-screen stage (host and spectator views) ───────────────────────────
+// Room code as glowing chars, plus the join link and a QR code to the player page
+function buildJoinInfo(gameId, codeEl, urlEl, qrEl) {
+  // Render PIN as individual glowing chars
+  codeEl.innerHTML = '';
+  String(gameId).split('').forEach((ch, i) => {
+    const d = document.createElement('div');
+    d.className = 'game-code-char';
+    d.textContent = ch;
+    d.style.setProperty('--char-i', i);
+    setTimeout(() => d.classList.add('pop'), 80 + i * 120);
+    codeEl.appendChild(d);
+  });
+  const host = location.hostname + (location.port && location.port !== '80' ? ':' + location.port : '');
+  const playerUrl = `${location.protocol}//${host}/player?game=${encodeURIComponent(gameId)}`;
+  urlEl.textContent = `${host}/join`;
+  // Generate QR code
+  if (typeof QRCode !== 'undefined') {
+    qrEl.innerHTML = '';
+    new QRCode(qrEl, {
+      text: playerUrl,
+      width: 115, height: 115,
+      colorDark: '#b8ff3c', colorLight: '#111111',
+      correctLevel: QRCode.CorrectLevel.M,
+    });
+  }
+}
+
+// Read-only answer tiles. Typed-answer and estimate questions get a single
+// prompt card instead.
+function buildStageAnswers(container, q) {
+  container.innerHTML = '';
+  container.classList.toggle('order-list', q.type === 'order');
+  if (q.type === 'text' || q.type === 'number' || q.type === 'wordcloud') {
+    const prompt = q.type === 'text'   ? 'Type your answer on your device'
+                 : q.type === 'number' ? `Estimate on your device · ${formatNumberAnswer(q.range.min, q.range.unit)} – ${formatNumberAnswer(q.range.max, q.range.unit)}`
+                 : 'Send a word from your device';
+    const card = document.createElement('div');
+    card.className = 'answer text-prompt';
+    card.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${q.type === 'text' ? '\u270e' : '#'}</span>` +
+      `<span class="label">${escHtml(prompt)}</span>`;
+    container.appendChild(card);
+  }
+  q.options.forEach((opt, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const btn = document.createElement('button');
+    btn.className = `answer ${s.color}${opt.imagePath ? ' has-image' : ''}`;
+    btn.disabled  = true;
+    btn.dataset.id = opt.id;
+    btn.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${s.shape}</span>` +
+      optionImageHtml(opt) +
+      `<span class="label">${richText(opt.label, q.format, true)}</span>` +
+      `<span class="answer-icon">✓</span>`;
+    container.appendChild(btn);
+  });
+}
+
+// Live answer progress: every tile fills with the share who have answered.
+// Word clouds redraw, polls fill each option by its share of votes.
+function updateStageProgress(container, type, answeredCount, totalCount, counts, words) {
+  const pct = totalCount > 0 ? (answeredCount / totalCount) * 100 : 0;
+  if (type === 'wordcloud' && words) {
+    renderWordCloud(container, words);
+    return;
+  }
+
+  // Update fill bars on each answer button
+  [...container.children].forEach((btn, idx) => {
+    const fill = type === 'poll' && counts
+      ? (answeredCount > 0 ? ((counts[idx] ?? 0) / answeredCount) * 100 : 0)
+      : pct;
+    btn.style.setProperty('--fill', String(fill));
+    const bar = btn.querySelector('.answer-fill-bar');
+    if (bar) bar.style.width = fill + '%';
+    if (type === 'poll' && counts) setLiveCount(btn, counts[idx] ?? 0);
+  });
+}
+
+function setLiveCount(btn, count) {
+  let badge = btn.querySelector('.answer-count');
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'answer-count';
+    btn.appendChild(badge);
+  }
+  badge.textContent = count;
+}
+
+// Word cloud: entries scaled by how many players sent them
+function renderWordCloud(container, words) {
+  const max = Math.max(1, ...words.map(w => w.count));
+  const cloud = document.createElement('div');
+  cloud.className = 'word-cloud';
+  cloud.innerHTML = words.length
+    ? words.map((w, i) => {
+        const size = 0.9 + 2.4 * (w.count / max);
+        const s    = ANSWER_STYLES[i % ANSWER_STYLES.length];
+        return `<span class="word-cloud-word ${s.color}" style="font-size:${size.toFixed(2)}rem" title="${w.count}">${escHtml(w.word)}</span>`;
+      }).join('')
+    : '<span class="word-cloud-empty">Waiting for words…</span>';
+  container.innerHTML = '';
+  container.appendChild(cloud);
+}
+
+// Choice and poll reveal: flip each tile to its result, then badge it with its
+// vote count and (on wrong answers) the names of who picked it.
+function revealChoiceCards(container, type, correctOptionIds, counts, playerChoices) {
+  [...container.children].forEach((btn, idx) => {
+    const optId = btn.dataset.id;
+    btn.style.setProperty('--fill', '0');
+    btn.querySelector('.answer-count')?.remove();
+    const resultClass = type === 'poll' ? 'poll-result' : correctOptionIds.includes(optId) ? 'correct' : 'wrong';
+    flipRevealCard(btn, resultClass, idx * 75);
+    if (resultClass === 'wrong') attachShameNames(btn, playerChoices?.[optId] ?? [], idx * 75 + 380);
+    // Count badge goes on after the flip completes so it's visible on the new face
+    attachCountBadge(btn, counts?.[idx] ?? 0, idx * 75 + 340);
+  });
+}
+
+// Answer reveal on the big screen: each question type lays out its own result
+// cards; choice and poll tiles flip in place over a vote bar chart.
+function revealStage(container, chartEl, r) {
+  const isChoice = r.type === 'choice' || r.type === 'poll';
+  if (r.type === 'text')      revealTextAnswers(container, r.acceptedAnswers || [], r.textAnswers || []);
+  if (r.type === 'order')     revealOrder(container, r.correctOrder || [], r.positionCounts || [], r.answeredCount ?? 0);
+  if (r.type === 'number')    revealNumberStrip(container, r.correctValue, r.range, r.numberGuesses || []);
+  if (r.type === 'wordcloud') renderWordCloud(container, r.words || []);
+  if (isChoice) revealChoiceCards(container, r.type, r.correctOptionIds, r.counts, r.playerChoices);
+  renderBarChart(chartEl, isChoice ? r.counts : null);
+}
+
+// Vote bars under the tiles; hidden when there are no counts to show
+function renderBarChart(chartEl, counts) {
+  chartEl.classList.toggle('hidden', !counts);
+  const maxCount = Math.max(1, ...(counts || [0]));
+  chartEl.innerHTML = (counts || []).map((count, idx) => {
+    const s   = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const pct = Math.round((count / maxCount) * 100);
+    return `<div class="bar-item">
+        <div class="bar-fill ${s.color}" style="height:${pct}%"></div>
+        <span class="bar-count">${count}</span>
+      </div>`;
+  }).join('');
+}
+
+// Name-and-shame chips under a wrong card, faded in once the flip completes.
+function attachShameNames(btn, names, delay) {
+  if (!names.length) return;
+  setTimeout(() => {
+    if (!btn.isConnected) return;
+    btn.style.overflow = 'visible';
+    const shameDiv = document.createElement('div');
+    shameDiv.className = 'shame-names';
+    names.forEach((name, ni) => {
+      const chip = document.createElement('span');
+      chip.className = 'shame-chip';
+      chip.textContent = name;
+      chip.style.animationDelay = (ni * 60) + 'ms';
+      shameDiv.appendChild(chip);
+    });
+    btn.appendChild(shameDiv);
+    // Trigger transition on next frame
+    requestAnimationFrame(() => requestAnimationFrame(() =>
+      shameDiv.classList.add('visible')
+    ));
+  }, delay);
+}
+
+function attachCountBadge(btn, count, delay) {
+  setTimeout(() => {
+    const badge = document.createElement('span');
+    badge.className = 'answer-count';
+    badge.textContent = count;
+    btn.appendChild(badge);
+  }, delay);
+}
+
+// Typed-answer reveal: the accepted answer first, then the most common
+// submissions as cards flipped correct / wrong with their counts.
+function revealTextAnswers(container, acceptedAnswers, textAnswers) {
+  container.innerHTML = '';
+  const cards = [{ answer: acceptedAnswers[0] || '', count: null, correct: true, names: [] }]
+    .concat(textAnswers.slice(0, 7));
+  cards.forEach((entry, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const card = document.createElement('div');
+    card.className = `answer ${s.color}`;
+    card.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${idx === 0 ? '\u2605' : s.shape}</span>` +
+      `<span class="label">${escHtml(entry.answer)}</span>` +
+      `<span class="answer-icon"></span>`;
+    container.appendChild(card);
+    flipRevealCard(card, entry.correct ? 'correct' : 'wrong', idx * 75);
+    if (entry.count !== null) attachCountBadge(card, entry.count, idx * 75 + 340);
+    if (!entry.correct) attachShameNames(card, entry.names, idx * 75 + 380);
+  });
+}
+
+// Ordering reveal: items re-laid in the correct sequence, each badged with
+// how many players put it in the right slot.
+function revealOrder(container, correctOrder, positionCounts, answeredCount) {
+  // Labels are carried over as rendered (already-escaped) HTML, formatting and all
+  const labels = new Map([...container.children].map(btn => [btn.dataset.id, btn.querySelector('.label')?.innerHTML || '']));
+  container.innerHTML = '';
+  correctOrder.forEach((id, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const card = document.createElement('div');
+    card.className = `answer ${s.color}`;
+    card.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${idx + 1}</span>` +
+      `<span class="label">${labels.get(id) || ''}</span>` +
+      `<span class="answer-icon"></span>`;
+    container.appendChild(card);
+    flipRevealCard(card, 'correct', idx * 75);
+    attachCountBadge(card, `${positionCounts[idx] ?? 0}/${answeredCount}`, idx * 75 + 340);
+  });
+}
+
+// Estimate reveal: every guess as a dot along the range, the true value marked,
+// plus a card naming the closest guess.
+function revealNumberStrip(container, correctValue, range, guesses) {
+  container.innerHTML = '';
+  if (!range) return;
+  const span = range.max - range.min || 1;
+  const pos  = v => Math.max(0, Math.min(100, ((v - range.min) / span) * 100));
+
+  const strip = document.createElement('div');
+  strip.className = 'number-strip';
+  strip.innerHTML =
+    `<div class="number-strip-track">` +
+      guesses.map((g, i) =>
+        `<span class="number-strip-dot${g.hit ? ' hit' : ''}" style="left:${pos(g.value)}%;animation-delay:${i * 20}ms" ` +
+        `title="${escHtml(g.name)}: ${escHtml(formatNumberAnswer(g.value, range.unit))}"></span>`).join('') +
+      `<span class="number-strip-marker" style="left:${pos(correctValue)}%">` +
+        `<span class="number-strip-value">${escHtml(formatNumberAnswer(correctValue, range.unit))}</span>` +
+      `</span>` +
+    `</div>` +
+    `<div class="number-strip-ends">` +
+      `<span>${escHtml(formatNumberAnswer(range.min, range.unit))}</span>` +
+      `<span>${guesses.length} guess${guesses.length === 1 ? '' : 'es'}</span>` +
+      `<span>${escHtml(formatNumberAnswer(range.max, range.unit))}</span>` +
+    `</div>`;
+  container.appendChild(strip);
+
+  const closest = [...guesses].sort((a, b) => Math.abs(a.value - correctValue) - Math.abs(b.value - correctValue))[0];
+  if (!closest) return;
+  const card = document.createElement('div');
+  card.className = 'answer opt-a';
+  card.innerHTML =
+    `<span class="answer-fill-bar"></span>` +
+    `<span class="shape">\u2605</span>` +
+    `<span class="label">Closest: ${escHtml(closest.name)} · ${escHtml(formatNumberAnswer(closest.value, range.unit))}</span>` +
+    `<span class="answer-icon"></span>`;
+  container.appendChild(card);
+  flipRevealCard(card, 'correct', 150);
+}
+
 // ── Floating Emoji Reaction ────────────────────────────────────────────────
 function showFloatingReaction(emoji, name) {
   const x = 20 + Math.random() * 60; // % from left, keep away from edges
@@ -522,6 +972,23 @@ function showFloatingReaction(emoji, name) {
   setTimeout(() => emojiEl.remove(), 2800);
 }
 
+// ── Toasts (short host notifications, stacked top-right) ─────────────────
+function showToast(text) {
+  let stack = document.getElementById('toastStack');
+  if (!stack) {
+    stack = document.createElement('div');
+    stack.id = 'toastStack';
+    stack.className = 'toast-stack';
+    document.body.appendChild(stack);
+  }
+  const toast = document.createElement('div');
+  toast.className   = 'toast';
+  toast.textContent = text;
+  stack.appendChild(toast);
+  setTimeout(() => toast.classList.add('toast-out'), 3600);
+  setTimeout(() => toast.remove(), 4000);
+}
+
 // Legacy alias
 function showSignalBurst(text, name) { showFloatingReaction(text, name); }
 
@@ -5,29 +5,44 @@ let payload  = null;
 let hostSecret = '';
 let stopTimer = null;
 let totalPlayers = 0;
-let optionIdOrder = [];
+let currentQType  = 'choice';
 let autoAdvanceTimer = null;
 let revealAutoTimer  = null;  // 10s delay before auto-showing leaderboard
 let revealCountdownInterval = null;
 let isPaused = false;
+let homeworkMode = false;     // self-paced room: results board instead of live play
 let prevLeaderboard = [];
 // ── Library browser state ────────────────────────────────────
 let hostLibraryAll     = [];
 let hostLibrarySubject = '';
 let hostLibraryDiff    = '';
 let hostLibrarySearch  = '';
-// ── Image support ───────────────────────────────────
-let imageMap         = new Map(); // imageRef filename → base64 dataURL
-let questionOrder    = [];        // server-shuffled question IDs in play order
-let hostCurrentIndex = -1;        // mirrors server-side currentIndex
-
-// Returns the base64 dataURL for the question at position idx, or null.
-function getImageData(idx) {
-  const qId = questionOrder[idx];
-  if (!qId) return null;
-  const q = (payload?.questions || []).find(q => q.id === qId);
-  if (!q?.imageRef) return null;
-  return imageMap.get(q.imageRef) || null;
+// ── Image and clip support ──────────────────────────
+let imageMap         = new Map(); // imageRef filename → image Blob from the .questron file
+let clipMap          = new Map(); // audioRef / videoRef filename → clip Blob
+
+// Upload the quiz's images and clips to the room just created, so players fetch
+// each one over HTTP instead of it riding along in question:show. Returns how many failed.
+async function uploadMedia(onProgress) {
+  const qs = payload?.questions || [];
+  const uploads = [
+    ...new Set(qs.flatMap(q => [q.imageRef, ...(q.options || []).map(o => o.imageRef)]).filter(ref => imageMap.has(ref))),
+  ].map(ref => ['image', ref, imageMap.get(ref)]).concat([
+    ...new Set(qs.map(q => q.audioRef || q.videoRef).filter(ref => clipMap.has(ref))),
+  ].map(ref => ['clip', ref, clipMap.get(ref)]));
+  let failed = 0;
+  for (const [i, [kind, ref, blob]] of uploads.entries()) {
+    onProgress?.(i + 1, uploads.length);
+    try {
+      const res = await fetch(`${GAME_SERVER_URL}/room/${gameId}/${kind}/${encodeURIComponent(ref)}?secret=${encodeURIComponent(hostSecret)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': blob.type },
+        body:    blob,
+      });
+      if (!res.ok) failed++;
+    } catch { failed++; }
+  }
+  return failed;
 }
 
 // ── Sound toggle ─────────────────────────────────────────────
@@ -42,9 +57,14 @@ const el = {
   screenLeaderboard: $('screenLeaderboard'),
   screenOver:        $('screenOver'),
   screenCancelled:   $('screenCancelled'),
+  screenReport:      $('screenReport'),
 
   copyCodeBtn:    $('copyCodeBtn'),
   qrCanvas:       $('qrCanvas'),
+  spectateLink:   $('spectateLink'),
+  remoteBtn:      $('remoteBtn'),
+  remoteWrap:     $('remoteWrap'),
+  remoteQr:       $('remoteQr'),
 
   // Create screen — new elements
   resetPinBtn:         $('resetPinBtn'),
@@ -52,11 +72,23 @@ const el = {
   hostSubjectChips:    $('hostSubjectChips'),
   hostDiffChips:       $('hostDiffChips'),
   hostQuizGrid:        $('hostQuizGrid'),
+  settingMode:         $('settingMode'),
+  settingDeadline:     $('settingDeadline'),
   settingShuffleQ:     $('settingShuffleQ'),
   settingShuffleA:     $('settingShuffleA'),
   settingTimeOverride: $('settingTimeOverride'),
   settingRevealSecs:   $('settingRevealSecs'),
   settingLbSecs:       $('settingLbSecs'),
+  settingLateJoin:     $('settingLateJoin'),
+  settingAdaptive:     $('settingAdaptive'),
+  settingBlockedWords: $('settingBlockedWords'),
+  settingPassword:     $('settingPassword'),
+  settingWaitingRoom:  $('settingWaitingRoom'),
+  settingWaitForMedia: $('settingWaitForMedia'),
+  settingClipsOnDevices: $('settingClipsOnDevices'),
+  settingTeamMode:     $('settingTeamMode'),
+  settingTeamCount:    $('settingTeamCount'),
+  settingTeamScoring:  $('settingTeamScoring'),
   clearQuizBtn:        $('clearQuizBtn'),
   selectedIcon:        $('selectedIcon'),
 
@@ -68,6 +100,11 @@ const el = {
   previewTitle:   $('previewTitle'),
   previewQCount:  $('previewQCount'),
   previewTime:    $('previewTime'),
+  previewScoring: $('previewScoring'),
+  homeworkRooms:    $('homeworkRooms'),
+  homeworkRoomList: $('homeworkRoomList'),
+  pastReports:      $('pastReports'),
+  pastReportList:   $('pastReportList'),
 
   lobbyTitle:     $('lobbyTitle'),
   gameId:         $('gameId'),
@@ -76,13 +113,24 @@ const el = {
   lobbyEmpty:     $('lobbyEmpty'),
   playerCount:    $('playerCount'),
   startBtn:       $('startBtn'),
+  lockLobbyBtn:   $('lockLobbyBtn'),
+  joinRequests:   $('joinRequests'),
+  joinRequestList: $('joinRequestList'),
+  admitAllBtn:    $('admitAllBtn'),
+  lobbyPlayersPanel: $('lobbyPlayersPanel'),
+  homeworkPanel:     $('homeworkPanel'),
+  homeworkSummary:   $('homeworkSummary'),
+  homeworkResults:   $('homeworkResults'),
 
   qText:          $('qText'),
+  multiHint:      $('multiHint'),
   qImage:         $('qImage'),
+  qClip:          $('qClip'),
   qIndex:         $('qIndex'),
   qTotal:         $('qTotal'),
   answers:        $('answers'),
   barChart:       $('barChart'),
+  revealExplanation: $('revealExplanation'),
   nextBtn:        $('nextBtn'),
   lbNextBtn:     $('lbNextBtn'),
   answeredCounter:$('answeredCounter'),
@@ -90,6 +138,10 @@ const el = {
   answeredText:   $('answeredText'),
   hostProgressBar:$('hostProgressBar'),
   pauseBtn:       $('pauseBtn'),
+  roundControls:  $('roundControls'),
+  endNowBtn:      $('endNowBtn'),
+  voidBtn:        $('voidBtn'),
+  reaskBtn:       $('reaskBtn'),
   music:          $('music'),
   reveal:         $('reveal'),
 
@@ -105,17 +157,31 @@ const el = {
   revealAutoCancelBtn: $('revealAutoCancelBtn'),
 
   board:          $('board'),
+  teamBoard:      $('teamBoard'),
   podiumWrap:     $('podiumWrap'),
   finalBoard:     $('finalBoard'),
+  exportRow:      $('exportRow'),
   backToCreateBtn:$('backToCreateBtn'),
   cancelReason:   $('cancelReason'),
   end:            $('end'),
+
+  reportTitle:    $('reportTitle'),
+  reportMeta:     $('reportMeta'),
+  reportPodium:   $('reportPodium'),
+  reportQuestions:$('reportQuestions'),
+  reportPlayers:  $('reportPlayers'),
+  reportShareBtn: $('reportShareBtn'),
+  reportBackBtn:  $('reportBackBtn'),
+  connectionStatus: $('connectionStatus'),
+  playersDrawer:      $('playersDrawer'),
+  playersDrawerList:  $('playersDrawerList'),
+  playersDrawerClose: $('playersDrawerClose'),
 };
 
 // ── Screen management ─────────────────────────────────────────
 function showOnly(screenEl) {
   [el.screenCreate, el.screenLobby, el.screenPlay,
-   el.screenLeaderboard, el.screenOver, el.screenCancelled]
+   el.screenLeaderboard, el.screenOver, el.screenCancelled, el.screenReport]
     .forEach(s => s.classList.add('hidden'));
   screenEl.classList.remove('hidden');
 }
@@ -145,22 +211,16 @@ if (el.resetPinBtn) {
       });
       const data = await res.json();
       if (!data.ok) throw new Error(data.error || 'Failed');
+      const previousId = gameId;
       gameId = data.gameId;
       hostSecret       = data.hostSecret || '';
-      questionOrder    = data.questionOrder || [];
-      hostCurrentIndex = -1;
-      // Reconnect to new room (old socket auto-sends game:cancelled to old lobby)
+      const failed = await uploadMedia();
+      if (failed) showToast(`${failed} media file${failed === 1 ? '' : 's'} didn\u2019t upload`);
+      // Close the old lobby, then reconnect to the new room
+      socket.emit('host:cancel', { gameId: previousId });
       socket.connect(`${GAME_SERVER_WS}/room/${gameId}?role=host&secret=${encodeURIComponent(hostSecret)}`);
-      // Re-render PIN
-      el.gameId.innerHTML = '';
-      String(gameId).split('').forEach((ch, i) => {
-        const d = document.createElement('div');
-        d.className = 'game-code-char';
-        d.textContent = ch;
-        d.style.setProperty('--char-i', i);
-        setTimeout(() => d.classList.add('pop'), 80 + i * 120);
-        el.gameId.appendChild(d);
-      });
+      saveHostSession();
+      renderJoinInfo();
       // Clear players list
       el.lobbyPlayers.innerHTML = '';
       el.lobbyPlayers.appendChild(el.lobbyEmpty);
@@ -197,6 +257,7 @@ el.jsonFile.addEventListener('change', () => {
 async function loadFile(file) {
   el.createMsg.textContent = '';
   imageMap.clear();
+  clipMap.clear();
   try {
     if (file.name.endsWith('.questron')) {
       await loadQuestronFile(file);
@@ -210,9 +271,11 @@ async function loadFile(file) {
     el.previewTitle.textContent  = payload.title || 'Untitled Quiz';
     el.previewQCount.textContent = `${qCount} question${qCount !== 1 ? 's' : ''}`;
     el.previewTime.textContent   = `~${estMin} min`;
+    renderScoringPreview(payload);
     const fileIcon = SUBJECT_ICON_MAP[payload.meta?.subject] || '\ud83d\udccb';
     if (el.selectedIcon) el.selectedIcon.textContent = fileIcon;
     if (el.settingShuffleQ) el.settingShuffleQ.checked = payload.shuffleQuestions !== false;
+    if (el.settingClipsOnDevices) el.settingClipsOnDevices.checked = payload.clipsOnDevices === true;
     el.quizPreview.classList.remove('hidden');
     el.createBtn.disabled = false;
   } catch (err) {
@@ -237,7 +300,8 @@ async function ensureJSZip() {
 
 async function loadQuestronFile(file) {
   await ensureJSZip();
-  const MAX_IMG = 700 * 1024; // 700 KB binary → ~933 KB base64, fits in 1 MB WS message
+  const MAX_IMG  = 1536 * 1024;     // the most the room will store per image
+  const MAX_CLIP = 8 * 1024 * 1024; // ...and per audio / video clip
   const buf = await file.arrayBuffer();
   const zip = await JSZip.loadAsync(buf);
 
@@ -245,7 +309,7 @@ async function loadQuestronFile(file) {
   let totalUncompressed = 0;
   for (const entry of Object.values(zip.files)) {
     totalUncompressed += (entry._data?.uncompressedSize ?? 0);
-    if (totalUncompressed > 20 * 1024 * 1024) throw new Error('File too large (> 20 MB uncompressed).');
+    if (totalUncompressed > 100 * 1024 * 1024) throw new Error('File too large (> 100 MB uncompressed).');
   }
 
   const quizEntry = zip.file('quiz.json');
@@ -268,9 +332,24 @@ async function loadQuestronFile(file) {
     else if (b[0]===0x52 && b[1]===0x49 && b[2]===0x46 && b[3]===0x46 &&
              b[8]===0x57 && b[9]===0x45 && b[10]===0x42 && b[11]===0x50) mime = 'image/webp';
     if (!mime) continue; // skip unknown/unsafe formats (no SVG)
-    const blob    = new Blob([imgBuf], { type: mime });
-    const dataUrl = await new Promise(res => { const r = new FileReader(); r.onload = () => res(r.result); r.readAsDataURL(blob); });
-    imageMap.set(filename, dataUrl);
+    imageMap.set(filename, new Blob([imgBuf], { type: mime }));
+  }
+
+  // Clips, checked the same way; the question says whether each is audio or video
+  const clipKinds = new Map();
+  for (const q of payload.questions || []) {
+    if (q.audioRef) clipKinds.set(q.audioRef, 'audio');
+    if (q.videoRef) clipKinds.set(q.videoRef, 'video');
+  }
+  for (const [name, entry] of Object.entries(zip.files)) {
+    if (!name.startsWith('clips/') || entry.dir) continue;
+    const filename = name.slice('clips/'.length);
+    if (!clipKinds.has(filename) || filename.includes('/') || filename.includes('\\') || filename.includes('..')) continue;
+    const clipBuf = await entry.async('arraybuffer');
+    if (clipBuf.byteLength > MAX_CLIP) continue;
+    const mime = clipMime(clipKinds.get(filename), new Uint8Array(clipBuf.slice(0, 12)));
+    if (!mime) continue;
+    clipMap.set(filename, new Blob([clipBuf], { type: mime }));
   }
 }
 
@@ -296,9 +375,77 @@ function buildCreatePayload() {
     p.defaultTimeLimitSeconds = tOverride;
     p.questions = (p.questions || []).map(q => ({ ...q, timeLimitSeconds: tOverride }));
   }
+  if (el.settingMode?.value === 'homework') {
+    p.homework = { deadlineMs: new Date(el.settingDeadline.value).getTime() || 0 };
+  } else {
+    if (el.settingLateJoin?.value) p.lateJoin = el.settingLateJoin.value;
+    if (el.settingAdaptive?.checked) p.adaptive = true;
+    if (el.settingWaitingRoom?.checked) p.waitingRoom = true;
+    if (el.settingWaitForMedia?.checked) p.waitForMedia = true;
+  }
+  if (el.settingClipsOnDevices) p.clipsOnDevices = el.settingClipsOnDevices.checked;
+  if (el.settingPassword?.value) p.password = el.settingPassword.value.slice(0, 64);
+  const blocked = (el.settingBlockedWords?.value || '').split(/[,\n]/).map(w => w.trim()).filter(Boolean);
+  if (blocked.length) p.blockedWords = blocked.slice(0, 200).map(w => w.slice(0, 40));
+  if (el.settingTeamMode?.value) {
+    p.teams = {
+      mode:    el.settingTeamMode.value,
+      count:   parseInt(el.settingTeamCount.value) || 2,
+      scoring: el.settingTeamScoring.value,
+    };
+  }
   return p;
 }
 
+el.settingMode?.addEventListener('change', () => {
+  const homework = el.settingMode.value === 'homework';
+  document.querySelectorAll('.homework-setting').forEach(row => row.classList.toggle('hidden', !homework));
+  document.querySelectorAll('.live-setting').forEach(row => row.classList.toggle('hidden', homework));
+  el.createBtn.textContent = homework ? '\ud83d\udcdd Open Homework \u2192' : '\u26a1 Create Game \u2192';
+  // Default deadline: a week from now, on the hour
+  if (homework && !el.settingDeadline.value) {
+    const d = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    d.setMinutes(0, 0, 0);
+    el.settingDeadline.value = new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+  }
+});
+
+el.settingTeamMode?.addEventListener('change', () => {
+  document.querySelectorAll('.team-setting').forEach(row =>
+    row.classList.toggle('hidden', !el.settingTeamMode.value));
+});
+
+// Plain-language list of a quiz.json `scoring` block's non-default rules
+function describeScoring(s) {
+  if (!s || typeof s !== 'object') return [];
+  const out = [];
+  if (s.multiplier !== undefined && s.multiplier !== 1) {
+    out.push(s.multiplier === 0 ? 'No points' : s.multiplier === 2 ? 'Double points' : s.multiplier === 3 ? 'Triple points' : `\u00d7${s.multiplier} points`);
+  }
+  if (s.speedBonus === false) out.push('Flat points, no speed bonus');
+  if (s.streakCap !== undefined && s.streakCap !== 1.5) {
+    out.push(s.streakCap <= 1 ? 'No streak bonus' : `Streak bonus up to \u00d7${s.streakCap}`);
+  }
+  if (s.wrongPenalty > 0) out.push(`\u2212${s.wrongPenalty} for wrong answers`);
+  return out;
+}
+
+// Host preview card: quiz-wide rules as chips, plus which questions override them
+function renderScoringPreview(quiz) {
+  if (!el.previewScoring) return;
+  const rules  = describeScoring(quiz.scoring);
+  const custom = (quiz.questions || [])
+    .map((q, i) => describeScoring(q.scoring).length ? i + 1 : null)
+    .filter(n => n !== null);
+  el.previewScoring.innerHTML =
+    (rules.length
+      ? rules.map(r => `<span class="scoring-chip">${escHtml(r)}</span>`).join('')
+      : '<span>Standard scoring · 500–1000 by speed · streak bonus up to \u00d71.5</span>') +
+    (custom.length
+      ? `<span>· Own rules on question${custom.length === 1 ? '' : 's'} ${custom.slice(0, 8).join(', ')}${custom.length > 8 ? '…' : ''}</span>`
+      : '');
+}
+
 function showSettings(quizData, icon) {
   payload = quizData;
   const qCount = payload.questions?.length || 0;
@@ -308,7 +455,9 @@ function showSettings(quizData, icon) {
   el.previewTitle.textContent  = payload.title || 'Untitled Quiz';
   el.previewQCount.textContent = `${qCount} question${qCount !== 1 ? 's' : ''}`;
   el.previewTime.textContent   = `~${estMin} min`;
+  renderScoringPreview(payload);
   if (el.settingShuffleQ) el.settingShuffleQ.checked = payload.shuffleQuestions !== false;
+  if (el.settingClipsOnDevices) el.settingClipsOnDevices.checked = payload.clipsOnDevices === true;
   el.quizPreview.classList.remove('hidden');
   el.createBtn.disabled = false;
   el.createMsg.textContent = '';
@@ -480,12 +629,19 @@ el.createBtn.addEventListener('click', async () => {
   el.createBtn.disabled = true;
   el.createMsg.textContent = '';
 
+  const createPayload = buildCreatePayload();
+  if (createPayload.homework && !(createPayload.homework.deadlineMs > Date.now() + 60_000)) {
+    el.createMsg.textContent = 'Pick a homework deadline in the future.';
+    el.createBtn.disabled = false;
+    return;
+  }
+
   let data;
   try {
     const res = await fetch(`${GAME_SERVER_URL}/api/create`, {
       method:  'POST',
       headers: { 'Content-Type': 'application/json' },
-      body:    JSON.stringify(buildCreatePayload()),
+      body:    JSON.stringify(createPayload),
     });
     data = await res.json();
   } catch (err) {
@@ -502,40 +658,221 @@ el.createBtn.addEventListener('click', async () => {
 
   gameId = data.gameId;
   hostSecret       = data.hostSecret || '';
-  questionOrder    = data.questionOrder || [];
-  hostCurrentIndex = -1;
+  joinRequests     = [];
+  renderJoinRequests();
+  const failed = await uploadMedia((done, total) => { el.createMsg.textContent = `Uploading media ${done} / ${total}\u2026`; });
+  el.createMsg.textContent = '';
+  if (failed) showToast(`${failed} media file${failed === 1 ? '' : 's'} didn\u2019t upload`);
   socket.connect(`${GAME_SERVER_WS}/room/${gameId}?role=host&secret=${encodeURIComponent(hostSecret)}`);
 
-  // Render PIN as individual glowing chars
-  el.gameId.innerHTML = '';
-  String(gameId).split('').forEach((ch, i) => {
-    const d = document.createElement('div');
-    d.className = 'game-code-char';
-    d.textContent = ch;
-    d.style.setProperty('--char-i', i);
-    setTimeout(() => d.classList.add('pop'), 80 + i * 120);
-    el.gameId.appendChild(d);
-  });
   el.lobbyTitle.textContent = payload.title || 'Quiz';
-  const host = location.hostname + (location.port && location.port !== '80' ? ':' + location.port : '');
-  const playerUrl = `${location.protocol}//${host}/player?game=${encodeURIComponent(gameId)}`;
-  el.joinUrl.textContent = `${host}/join`;
-  // Generate QR code
-  if (typeof QRCode !== 'undefined') {
-    const qrCanvas = el.qrCanvas || document.getElementById('qrCanvas');
-    qrCanvas.innerHTML = '';
-    new QRCode(qrCanvas, {
-      text: playerUrl,
-      width: 115, height: 115,
-      colorDark: '#b8ff3c', colorLight: '#111111',
-      correctLevel: QRCode.CorrectLevel.M,
-    });
+  renderJoinInfo();
+  if (createPayload.homework) {
+    saveHomeworkRoom({ gameId, hostSecret, title: payload.title || 'Quiz', deadlineMs: createPayload.homework.deadlineMs });
+    saveReportEntry({ gameId, secret: hostSecret, title: payload.title || 'Quiz', readyAt: createPayload.homework.deadlineMs });
+    enterHomework();
+  } else {
+    saveHostSession();
   }
   showOnly(el.screenLobby);
   try{ if(localStorage.getItem('qDonDismiss')!=='1') document.getElementById('donateBanner').style.display='none'; }catch{}
 });
 
 
+// Room code, join link and QR code on the lobby screen
+function renderJoinInfo() {
+  buildJoinInfo(gameId, el.gameId, el.joinUrl, el.qrCanvas);
+  el.spectateLink.href = `/spectator?game=${encodeURIComponent(gameId)}`;
+  el.remoteWrap.classList.add('hidden');  // a new room needs a new pairing code
+}
+
+// ── Phone remote ──────────────────────────────────────────────
+// The pairing QR carries a controller token the server derives from the host
+// secret; it lives in the URL fragment so it never reaches a server log.
+el.remoteBtn.addEventListener('click', () => {
+  if (!el.remoteWrap.classList.contains('hidden')) {
+    el.remoteWrap.classList.add('hidden');
+    return;
+  }
+  socket.emit('host:controller', { gameId }, (res) => {
+    if (!res?.ok) return;
+    const url = `${location.origin}/remote#game=${encodeURIComponent(gameId)}&token=${res.token}`;
+    el.remoteQr.innerHTML = '';
+    if (typeof QRCode !== 'undefined') {
+      new QRCode(el.remoteQr, {
+        text: url,
+        width: 115, height: 115,
+        colorDark: '#ffd23f', colorLight: '#111111',
+        correctLevel: QRCode.CorrectLevel.M,
+      });
+    }
+    el.remoteWrap.classList.remove('hidden');
+  });
+});
+
+// Start and Next pressed on the phone are relayed here while this screen is open,
+// so Next runs like a click on it: auto-advance cancelled, Next buttons hidden
+socket.on('remote:command', ({ action }) => {
+  if (action === 'start') socket.emit('host:startGame', { gameId });
+  if (action === 'next')  advanceQuestion();
+});
+
+// ── Homework (self-paced) ─────────────────────────────────────
+// Rooms opened from this browser are remembered so the host can check
+// results later. The server keeps them for a week after the deadline.
+const HOMEWORK_ROOMS_KEY     = 'questron-homework';
+const HOMEWORK_RETENTION_MS  = 7 * 24 * 60 * 60 * 1000;
+
+function loadHomeworkRooms() {
+  try {
+    const rooms = JSON.parse(localStorage.getItem(HOMEWORK_ROOMS_KEY) || '[]');
+    return rooms.filter(r => r.deadlineMs + HOMEWORK_RETENTION_MS > Date.now());
+  } catch { return []; }
+}
+
+function saveHomeworkRoom(room) {
+  const rooms = [room, ...loadHomeworkRooms().filter(r => r.gameId !== room.gameId)].slice(0, 20);
+  try { localStorage.setItem(HOMEWORK_ROOMS_KEY, JSON.stringify(rooms)); } catch {}
+  renderHomeworkRooms();
+}
+
+function formatDeadline(ms) {
+  return new Date(ms).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function renderHomeworkRooms() {
+  const rooms = loadHomeworkRooms();
+  el.homeworkRooms.classList.toggle('hidden', rooms.length === 0);
+  el.homeworkRoomList.innerHTML = rooms.map(r => `
+    <div class="homework-room">
+      <div>
+        <div class="homework-room-title">${escHtml(r.title)}</div>
+        <div class="muted">${escHtml(r.gameId)} · ${r.deadlineMs > Date.now() ? 'due' : 'closed'} ${escHtml(formatDeadline(r.deadlineMs))}</div>
+      </div>
+      <button class="btn btn-ghost" data-homework="${escHtml(r.gameId)}">Results →</button>
+    </div>`).join('');
+}
+
+el.homeworkRoomList.addEventListener('click', e => {
+  const btn = e.target.closest('[data-homework]');
+  const room = btn && loadHomeworkRooms().find(r => r.gameId === btn.dataset.homework);
+  if (!room) return;
+  gameId     = room.gameId;
+  hostSecret = room.hostSecret;
+  socket.connect(`${GAME_SERVER_WS}/room/${gameId}?role=host&secret=${encodeURIComponent(hostSecret)}`);
+  el.lobbyTitle.textContent = room.title;
+  renderJoinInfo();
+  enterHomework();
+  showOnly(el.screenLobby);
+});
+
+// Lobby screen becomes the homework board: join info plus live results
+function enterHomework() {
+  homeworkMode = true;
+  el.resetPinBtn?.classList.add('hidden');
+  el.spectateLink.classList.add('hidden');
+  el.remoteBtn.classList.add('hidden');
+  el.lobbyPlayersPanel.classList.add('hidden');
+  el.homeworkPanel.classList.remove('hidden');
+  el.homeworkSummary.textContent = '';
+}
+
+function renderHomeworkResults(r) {
+  if (!r) return;
+  roster = r.players.map(p => ({ name: p.name, status: p.online ? '' : 'offline' }));
+  renderPlayersDrawer();
+  const finished = r.players.filter(p => p.finished).length;
+  el.homeworkSummary.textContent =
+    `${r.players.length} joined · ${finished} finished · ${r.closed ? 'closed' : 'due'} ${formatDeadline(r.deadlineMs)}`;
+  if (r.players.length === 0) {
+    el.homeworkResults.innerHTML = '<span class="muted">No one has started yet.</span>';
+    return;
+  }
+  el.homeworkResults.innerHTML = r.players.map((p, i) => `
+    <div class="homework-row${p.online ? ' online' : ''}">
+      <span class="homework-rank">${i + 1}</span>
+      <span class="homework-name">${escHtml(p.name)}</span>
+      <span class="homework-progress" title="${p.done} of ${r.total} answered">
+        <span class="homework-progress-fill" style="width:${Math.round((p.done / r.total) * 100)}%"></span>
+      </span>
+      <span class="homework-meta">${p.finished ? 'Done' : `${p.done}/${r.total}`} · ${p.correct} \u2713</span>
+      <span class="homework-score">${p.score.toLocaleString()}</span>
+    </div>`).join('');
+}
+
+socket.on('homework:results', renderHomeworkResults);
+
+// (Re)connecting: fetch the current board
+socket.on('connect', () => {
+  if (homeworkMode) socket.emit('host:results', { gameId }, renderHomeworkResults);
+});
+
+socket.on('connect_error', () => {
+  if (homeworkMode) el.homeworkSummary.textContent = 'Can\u2019t reach this room \u2014 it may have expired.';
+});
+
+renderHomeworkRooms();
+
+// ── Host session (reload / dropped connection) ────────────────
+// The server holds a live room for a couple of minutes after the host
+// drops, so a reloaded tab can reattach and pick the game back up.
+const HOST_SESSION_KEY = 'questron-host-session';
+let needsSync = false;  // ask the server where the game is on next connect
+let restoring = false;  // reattaching a reloaded tab to an existing room
+
+function saveHostSession() {
+  try { sessionStorage.setItem(HOST_SESSION_KEY, JSON.stringify({ gameId, hostSecret, payload })); } catch {}
+}
+
+function clearHostSession() {
+  try { sessionStorage.removeItem(HOST_SESSION_KEY); } catch {}
+}
+
+function restoreHostSession() {
+  let saved;
+  try { saved = JSON.parse(sessionStorage.getItem(HOST_SESSION_KEY) || 'null'); } catch {}
+  if (!saved?.gameId) return false;
+  ({ gameId, hostSecret, payload } = saved);
+  restoring = needsSync = true;
+  el.lobbyTitle.textContent = payload?.title || 'Quiz';
+  socket.connect(`${GAME_SERVER_WS}/room/${gameId}?role=host&secret=${encodeURIComponent(hostSecret)}`);
+  return true;
+}
+
+socket.on('disconnect', () => { if (!homeworkMode) needsSync = true; });
+
+socket.on('connect', () => {
+  const reloaded = restoring;
+  restoring = false;
+  if (!needsSync || homeworkMode || !gameId) return;
+  needsSync = false;
+  // Question and game-over screens are rebuilt by the events that follow the ack
+  socket.emit('host:sync', { gameId }, (res) => {
+    if (!res?.ok) return;
+    if (!reloaded) return;
+    if (res.phase === 'lobby') {
+      renderJoinInfo();
+      showOnly(el.screenLobby);
+    } else if (res.phase === 'reveal') {
+      el.teamBoard.classList.toggle('hidden', !res.teamLeaderboard);
+      el.teamBoard.innerHTML = res.teamLeaderboard ? buildTeamLeaderboard(res.teamLeaderboard) : '';
+      el.board.innerHTML = buildRaceLeaderboard(res.leaderboard, res.leaderboard);
+      prevLeaderboard = [...res.leaderboard];
+      showLeaderboard();
+    }
+  });
+});
+
+// The saved room is gone (expired or cancelled) — start fresh
+socket.on('connect_error', () => {
+  if (!restoring) return;
+  restoring = needsSync = false;
+  socket.close();
+  clearHostSession();
+  gameId = null;
+  showOnly(el.screenCreate);
+});
+
 // ── Pause / Resume ────────────────────────────────────────────
 el.pauseBtn.addEventListener('click', () => {
   if (!gameId) return;
@@ -550,6 +887,7 @@ socket.on('game:paused', ({ msRemaining }) => {
   isPaused = true;
   stopTimer?.();
   clearAutoAdvance(); // also cancels reveal auto-timer
+  pauseQuestionClip(el.qClip);
   el.pauseBtn.textContent = 'Resume';
   el.pauseBtn.classList.add('paused');
   let banner = document.getElementById('pausedBanner');
@@ -562,24 +900,85 @@ socket.on('game:paused', ({ msRemaining }) => {
   }
 });
 
-socket.on('game:resumed', ({ msRemaining }) => {
+function clearPausedUi() {
   isPaused = false;
   el.pauseBtn.textContent = 'Pause';
   el.pauseBtn.classList.remove('paused');
   document.getElementById('pausedBanner')?.remove();
+}
+
+socket.on('game:resumed', ({ msRemaining }) => {
+  clearPausedUi();
+  resumeQuestionClip(el.qClip);
   // Restart ring timer for remaining ms
   stopTimer = startTimerRing('hostTimerWrap', msRemaining / 1000);
 });
 
+// ── Round controls ────────────────────────────────────────────
+// Extra time, end early, void (no points either way) and re-ask.
+el.roundControls.addEventListener('click', e => {
+  const btn = e.target.closest('[data-add-time]');
+  if (btn && gameId) socket.emit('host:addTime', { gameId, seconds: Number(btn.dataset.addTime) });
+});
+
+el.endNowBtn.addEventListener('click', () => {
+  if (gameId) socket.emit('host:skip', { gameId });
+});
+
+el.voidBtn.addEventListener('click', () => {
+  if (!gameId || !confirm('Void this question? No one gains or loses points for it.')) return;
+  socket.emit('host:void', { gameId });
+});
+
+el.reaskBtn.addEventListener('click', () => {
+  if (!gameId || !confirm('Ask this question again? Points from this attempt are taken back.')) return;
+  clearAutoAdvance();
+  el.nextBtn.classList.add('hidden');
+  socket.emit('host:reask', { gameId });
+});
+
+socket.on('round:extended', ({ msRemaining, paused, seconds }) => {
+  showToast(`\u23f1 +${seconds}s`);
+  if (paused) return; // the resume brings the new time
+  stopTimer?.();
+  stopTimer = startTimerRing('hostTimerWrap', msRemaining / 1000);
+});
+
+socket.on('question:voided', ({ leaderboard, teamLeaderboard }) => {
+  stopTimer?.();
+  clearPausedUi();
+  try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
+  el.roundControls.classList.add('hidden');
+  el.voidBtn.classList.add('hidden');
+  el.reviewStats.classList.add('hidden');
+  el.teamBoard.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = teamLeaderboard ? buildTeamLeaderboard(teamLeaderboard) : '';
+  el.board.innerHTML = buildRaceLeaderboard(leaderboard, prevLeaderboard);
+  prevLeaderboard = [...leaderboard];
+  showToast('Question voided \u2014 no points for anyone');
+});
+
 // ── Emoji reactions (host display) ───────────────────────────
 socket.on('reaction:received', ({ name, emoji }) => {
   showFloatingReaction(emoji, name);
 });
 
+// ── Late joiners ──────────────────────────────────────────────
+socket.on('player:lateJoin', ({ name, score }) => {
+  showToast(`\ud83d\udc4b ${name} joined late${score > 0 ? ` \u00b7 starts on ${score.toLocaleString()}` : ''}`);
+});
+
 // ── Lobby updates ─────────────────────────────────────────────
-socket.on('lobby:update', ({ players, gameId: gid }) => {
+socket.on('lobby:update', ({ players, teams, away, gone, locked, gameId: gid }) => {
   if (gameId && gid !== gameId) return;
   totalPlayers = players.length;
+  el.lockLobbyBtn.textContent = locked ? '\ud83d\udd12 Locked' : '\ud83d\udd13 Open';
+  el.lockLobbyBtn.classList.toggle('active', !!locked);
+  el.lockLobbyBtn.dataset.locked = locked ? '1' : '';
+  setConnectionStatus(away, gone);
+  roster = [...players.map(name => ({ name, status: '' })), ...(away || []).map(p => ({ name: p.name, status: 'away' }))];
+  renderPlayersDrawer();
 
   el.playerCount.textContent = `${players.length} joined`;
   el.startBtn.disabled = players.length === 0;
@@ -597,31 +996,16 @@ socket.on('lobby:update', ({ players, gameId: gid }) => {
   }
   el.lobbyEmpty.classList.add('hidden');
 
+  if (teams) {
+    renderLobbyTeams(teams);
+    return;
+  }
+
   // Diff: only add new chips
   const existing = new Set([...el.lobbyPlayers.querySelectorAll('.player-chip')]
     .map(c => c.dataset.name));
   players.forEach(name => {
-    if (!existing.has(name)) {
-      const chip = document.createElement('div');
-      chip.className   = 'player-chip';
-      chip.dataset.name = name;
-      const dot = document.createElement('span');
-      dot.className = 'player-chip-dot';
-      dot.style.background = playerColor(name);
-      chip.appendChild(dot);
-      chip.appendChild(document.createTextNode(name));
-      // Kick button
-      const kickBtn = document.createElement('button');
-      kickBtn.className   = 'player-kick-btn';
-      kickBtn.textContent = '\u2715';
-      kickBtn.title       = `Remove ${name}`;
-      kickBtn.addEventListener('click', e => {
-        e.stopPropagation();
-        socket.emit('host:kickPlayer', { gameId, playerName: name });
-      });
-      chip.appendChild(kickBtn);
-      el.lobbyPlayers.appendChild(chip);
-    }
+    if (!existing.has(name)) el.lobbyPlayers.appendChild(buildLobbyChip(name));
   });
   // Remove chips for players that left
   el.lobbyPlayers.querySelectorAll('.player-chip').forEach(chip => {
@@ -629,10 +1013,194 @@ socket.on('lobby:update', ({ players, gameId: gid }) => {
   });
 });
 
+// ── Waiting room & lock ───────────────────────────────────────
+// With a waiting room, new players queue here until the host lets them in.
+// Locking refuses anyone new; players who already hold a seat can still rejoin.
+let joinRequests = [];  // names waiting to be let in
+
+function renderJoinRequests() {
+  el.joinRequests.classList.toggle('hidden', joinRequests.length === 0);
+  el.joinRequestList.innerHTML = joinRequests.map(name => `
+    <div class="moderate-row" data-name="${escHtml(name)}">
+      <span class="player-chip-dot" style="background:${playerColor(name)}"></span>
+      <span class="moderate-name">${escHtml(name)}</span>
+      <button class="copy-code-btn" data-admit="1">Let in</button>
+      <button class="copy-code-btn danger" data-admit="">Deny</button>
+    </div>`).join('');
+}
+
+function answerJoinRequest(name, allow) {
+  socket.emit('host:admit', { gameId, name, allow });
+  joinRequests = joinRequests.filter(n => n !== name);
+  renderJoinRequests();
+}
+
+socket.on('join:request', ({ name }) => {
+  if (joinRequests.includes(name)) return;
+  joinRequests.push(name);
+  renderJoinRequests();
+  showToast(`\u270b ${name} is waiting to join`);
+});
+
+socket.on('join:withdrawn', ({ name }) => {
+  joinRequests = joinRequests.filter(n => n !== name);
+  renderJoinRequests();
+});
+
+el.joinRequestList.addEventListener('click', e => {
+  const btn  = e.target.closest('[data-admit]');
+  const name = btn?.closest('[data-name]')?.dataset.name;
+  if (name) answerJoinRequest(name, !!btn.dataset.admit);
+});
+
+el.admitAllBtn.addEventListener('click', () => {
+  [...joinRequests].forEach(name => answerJoinRequest(name, true));
+});
+
+el.lockLobbyBtn.addEventListener('click', () => {
+  socket.emit('host:lock', { gameId, locked: !el.lockLobbyBtn.dataset.locked });
+});
+
+// ── Player moderation ─────────────────────────────────────────
+// Rename, kick or ban from the lobby or mid-game. A ban also stops the
+// player rejoining under the same name or from the same browser.
+let roster   = [];    // { name, status } — everyone who still holds a seat
+let renaming = null;  // name whose row is showing the rename field
+
+function renderPlayersDrawer() {
+  if (el.playersDrawer.classList.contains('hidden')) return;
+  if (roster.length === 0) {
+    el.playersDrawerList.innerHTML = '<span class="muted">No players yet.</span>';
+    return;
+  }
+  el.playersDrawerList.innerHTML = roster.map(p => p.name === renaming ? `
+    <form class="moderate-row" data-name="${escHtml(p.name)}">
+      <input class="input" name="newName" maxlength="24" value="${escHtml(p.name)}" autocomplete="off" />
+      <button class="copy-code-btn" type="submit">Save</button>
+      <button class="copy-code-btn" type="button" data-action="cancel">Cancel</button>
+    </form>` : `
+    <div class="moderate-row" data-name="${escHtml(p.name)}">
+      <span class="player-chip-dot" style="background:${playerColor(p.name)}"></span>
+      <span class="moderate-name">${escHtml(p.name)}</span>
+      ${p.status ? `<span class="moderate-state">${p.status}</span>` : ''}
+      <button class="copy-code-btn" data-action="rename">Rename</button>
+      <button class="copy-code-btn" data-action="kick">Kick</button>
+      <button class="copy-code-btn danger" data-action="ban">Ban</button>
+    </div>`).join('');
+  el.playersDrawerList.querySelector('input[name="newName"]')?.select();
+}
+
+document.addEventListener('click', e => {
+  if (!e.target.closest('[data-moderate]')) return;
+  el.playersDrawer.classList.remove('hidden');
+  renderPlayersDrawer();
+});
+
+el.playersDrawerClose.addEventListener('click', () => {
+  renaming = null;
+  el.playersDrawer.classList.add('hidden');
+});
+
+el.playersDrawerList.addEventListener('click', e => {
+  const btn  = e.target.closest('[data-action]');
+  const name = btn?.closest('[data-name]')?.dataset.name;
+  if (!name) return;
+  const action = btn.dataset.action;
+  if (action === 'rename' || action === 'cancel') {
+    renaming = action === 'rename' ? name : null;
+    renderPlayersDrawer();
+  } else if (action === 'kick') {
+    socket.emit('host:kickPlayer', { gameId, playerName: name });
+  } else if (action === 'ban' && confirm(`Ban ${name}? They won\u2019t be able to rejoin this game.`)) {
+    socket.emit('host:kickPlayer', { gameId, playerName: name, ban: true });
+  }
+});
+
+el.playersDrawerList.addEventListener('submit', e => {
+  e.preventDefault();
+  const form = e.target;
+  const newName = form.elements.newName.value.trim();
+  socket.emit('host:renamePlayer', { gameId, playerName: form.dataset.name, newName }, (res) => {
+    if (!res?.ok) { showToast(res?.error || 'Couldn\u2019t rename that player.'); return; }
+    renaming = null;
+    renderPlayersDrawer();
+  });
+});
+
+// ── Player connection status ──────────────────────────────────
+// Players who dropped keep their seat for a couple of minutes; the server
+// sends how long is left, counted down here until they rejoin or are gone.
+let awayPlayers = [];   // { name, until } — local clock
+let gonePlayers = [];
+let connectionTicker = null;
+
+function setConnectionStatus(away = [], gone = []) {
+  awayPlayers = away.map(p => ({ name: p.name, until: Date.now() + p.msLeft }));
+  gonePlayers = gone;
+  clearInterval(connectionTicker);
+  connectionTicker = awayPlayers.length ? setInterval(renderConnectionStatus, 1000) : null;
+  renderConnectionStatus();
+}
+
+function renderConnectionStatus() {
+  const clock = ms => {
+    const s = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  };
+  el.connectionStatus.classList.toggle('hidden', awayPlayers.length === 0 && gonePlayers.length === 0);
+  el.connectionStatus.innerHTML = [
+    ...awayPlayers.map(p => `
+      <div class="connection-row away" title="Disconnected — their seat is held until the countdown ends">
+        <span class="connection-dot"></span>${escHtml(p.name)}<span class="connection-time">${clock(p.until - Date.now())}</span>
+      </div>`),
+    ...gonePlayers.map(name => `
+      <div class="connection-row gone" title="Didn’t come back in time">
+        <span class="connection-dot"></span>${escHtml(name)}<span class="connection-time">gone</span>
+      </div>`),
+  ].join('');
+}
+
+function buildLobbyChip(name) {
+  const chip = document.createElement('div');
+  chip.className   = 'player-chip';
+  chip.dataset.name = name;
+  const dot = document.createElement('span');
+  dot.className = 'player-chip-dot';
+  dot.style.background = playerColor(name);
+  chip.appendChild(dot);
+  chip.appendChild(document.createTextNode(name));
+  const kickBtn = document.createElement('button');
+  kickBtn.className   = 'player-kick-btn';
+  kickBtn.textContent = '\u2715';
+  kickBtn.title       = `Remove ${name}`;
+  kickBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    socket.emit('host:kickPlayer', { gameId, playerName: name });
+  });
+  chip.appendChild(kickBtn);
+  return chip;
+}
+
+// Team mode: one column per team, rebuilt on every update since players can switch sides
+function renderLobbyTeams(teams) {
+  el.lobbyPlayers.innerHTML = '';
+  const grid = document.createElement('div');
+  grid.className = 'lobby-teams';
+  teams.forEach(t => {
+    const col = document.createElement('div');
+    col.className = 'lobby-team';
+    col.style.setProperty('--team-color', teamColor(t.id));
+    col.innerHTML = `<div class="lobby-team-head">Team ${escHtml(t.name)} <span>${t.players.length}</span></div>`;
+    t.players.forEach(name => col.appendChild(buildLobbyChip(name)));
+    grid.appendChild(col);
+  });
+  el.lobbyPlayers.appendChild(grid);
+}
+
 // ── Start game ────────────────────────────────────────────────
 el.startBtn.addEventListener('click', () => {
   if (!gameId) return;
-  socket.emit('host:startGame', { gameId, imageData: getImageData(0) });
+  socket.emit('host:startGame', { gameId });
 });
 
 socket.on('game:started', () => {
@@ -641,9 +1209,13 @@ socket.on('game:started', () => {
 
 // ── Question display ──────────────────────────────────────────
 socket.on('question:show', (q) => {
-  hostCurrentIndex = q.index;
   stopTimer?.();
+  el.lbNextBtn.textContent = 'Next Question \u2192';
+  clearPausedUi(); // a re-asked question starts running even if the last try was paused
+  el.roundControls.classList.remove('hidden');
+  el.voidBtn.classList.remove('hidden');
   el.barChart.classList.add('hidden');
+  el.revealExplanation.classList.add('hidden');
   el.nextBtn.classList.add('hidden');
   el.lbNextBtn.classList.add('hidden');
   el.screenLeaderboard.classList.add('hidden');
@@ -654,32 +1226,21 @@ socket.on('question:show', (q) => {
   el.hostProgressBar.style.width = pct + '%';
   el.qIndex.textContent = q.index + 1;
   el.qTotal.textContent = q.total;
-  el.qText.textContent  = q.text;
+  el.qText.innerHTML    = richText(q.text, q.format);
+  el.multiHint.classList.toggle('hidden', !q.multiSelect);
 
-  if (q.imageData || q.imageUrl) {
-    el.qImage.src = q.imageData || q.imageUrl;
+  const imageSrc = questionImageSrc(q);
+  if (imageSrc) {
+    el.qImage.src = imageSrc;
     el.qImage.classList.remove('hidden');
     el.qImage.onerror = () => el.qImage.classList.add('hidden');
   } else {
     el.qImage.classList.add('hidden');
   }
 
-  // Build answer buttons
-  el.answers.innerHTML = '';
-  optionIdOrder = q.options.map(opt => opt.id);
-  q.options.forEach((opt, idx) => {
-    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
-    const btn = document.createElement('button');
-    btn.className = `answer ${s.color}`;
-    btn.disabled  = true;
-    btn.dataset.id = opt.id;
-    btn.innerHTML =
-      `<span class="answer-fill-bar"></span>` +
-      `<span class="shape">${s.shape}</span>` +
-      `<span class="label">${escHtml(opt.label)}</span>` +
-      `<span class="answer-icon">✓</span>`;
-    el.answers.appendChild(btn);
-  });
+  // Build answer tiles (typed-answer and estimate questions get a single prompt card)
+  buildStageAnswers(el.answers, q);
+  currentQType  = q.type;
 
   // Answered counter
   el.answeredCounter.style.display = 'flex';
@@ -689,102 +1250,61 @@ socket.on('question:show', (q) => {
   // Timer ring
   stopTimer = startTimerRing('hostTimerWrap', q.timeLimitSeconds);
 
-  // Music
-  try { el.music.currentTime = 0; el.music.play(); } catch {}
+  // The question's clip plays on this screen; the countdown music would talk over it
+  if (!mountQuestionClip(el.qClip, q)) {
+    try { el.music.currentTime = 0; el.music.play(); } catch {}
+  }
+});
+
+// ── Media prefetch ────────────────────────────────────────────
+// The next question's image and clip load during the standings. A room that waits for
+// media says how many players are ready; Next again starts it anyway.
+socket.on('question:prefetch', preloadQuestionMedia);
+
+socket.on('question:loading', ({ ready, total }) => {
+  el.lbNextBtn.textContent = `Start now \u00b7 ${ready} / ${total} ready \u2192`;
+  el.lbNextBtn.classList.remove('hidden');
 });
 
 // ── Live answer progress ──────────────────────────────────────
-socket.on('round:progress', ({ answeredCount, totalCount }) => {
+socket.on('round:progress', ({ answeredCount, totalCount, counts, words }) => {
   totalPlayers = totalCount;
   const pct = totalCount > 0 ? (answeredCount / totalCount) * 100 : 0;
   el.answeredFill.style.width = pct + '%';
   el.answeredText.textContent = `${answeredCount} / ${totalCount} answered`;
 
-  // Update fill bars on each answer button
-  [...el.answers.children].forEach(btn => {
-    btn.style.setProperty('--fill', String(pct));
-    const bar = btn.querySelector('.answer-fill-bar');
-    if (bar) bar.style.width = pct + '%';
-  });
+  updateStageProgress(el.answers, currentQType, answeredCount, totalCount, counts, words);
 });
 
 // ── Answer reveal ─────────────────────────────────────────────
-socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts, playerChoices, percentCorrect, fastestName }) => {
+socket.on('question:reveal', ({ type, correctOptionIds, acceptedAnswers, textAnswers, correctOrder, positionCounts, correctValue, range, numberGuesses, words, answeredCount, leaderboard, teamLeaderboard, counts, playerChoices, percentCorrect, fastestName, explanation, sourceUrl, format }) => {
   stopTimer?.();
   clearAutoAdvance();
+  showExplanation(el.revealExplanation, { explanation, sourceUrl, format });
   try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
   try { el.reveal.currentTime = 0; el.reveal.play(); } catch {}
+  el.roundControls.classList.add('hidden');
 
   // If the round ended while paused (e.g. all players answered), clear the paused UI
-  if (isPaused) {
-    isPaused = false;
-    el.pauseBtn.textContent = 'Pause';
-    el.pauseBtn.classList.remove('paused');
-    document.getElementById('pausedBanner')?.remove();
-  }
-
-  const maxCount = Math.max(1, ...(counts || [0]));
-
-  // Highlight answers with flip
-  [...el.answers.children].forEach((btn, idx) => {
-    const optId = btn.dataset.id;
-    btn.style.setProperty('--fill', '0');
-    const resultClass = correctOptionIds.includes(optId) ? 'correct' : 'wrong';
-    flipRevealCard(btn, resultClass, idx * 75);
-
-    // After flip: inject shame names on wrong cards
-    if (resultClass === 'wrong') {
-      const names = playerChoices?.[optId] ?? [];
-      if (names.length > 0) {
-        setTimeout(() => {
-          if (!btn.isConnected) return;
-          btn.style.overflow = 'visible';
-          const shameDiv = document.createElement('div');
-          shameDiv.className = 'shame-names';
-          names.forEach((name, ni) => {
-            const chip = document.createElement('span');
-            chip.className = 'shame-chip';
-            chip.textContent = name;
-            chip.style.animationDelay = (ni * 60) + 'ms';
-            shameDiv.appendChild(chip);
-          });
-          btn.appendChild(shameDiv);
-          // Trigger transition on next frame
-          requestAnimationFrame(() => requestAnimationFrame(() =>
-            shameDiv.classList.add('visible')
-          ));
-        }, idx * 75 + 380);
-      }
-    }
-
-    // Count badge (added after flip completes so it's visible on the new face)
-    const count = optionIdOrder[idx] !== undefined ? (counts?.[idx] ?? 0) : 0;
-    setTimeout(() => {
-      const badge = document.createElement('span');
-      badge.className = 'answer-count';
-      badge.textContent = count;
-      btn.appendChild(badge);
-    }, idx * 75 + 340);
-  });
+  if (isPaused) clearPausedUi();
 
-  // Bar chart
-  el.barChart.innerHTML = '';
-  el.barChart.classList.remove('hidden');
-  counts?.forEach((count, idx) => {
-    const s   = ANSWER_STYLES[idx % ANSWER_STYLES.length];
-    const pct = Math.round((count / maxCount) * 100);
-    el.barChart.innerHTML +=
-      `<div class="bar-item">
-        <div class="bar-fill ${s.color}" style="height:${pct}%"></div>
-        <span class="bar-count">${count}</span>
-      </div>`;
+  revealStage(el.answers, el.barChart, {
+    type, correctOptionIds, acceptedAnswers, textAnswers, correctOrder, positionCounts,
+    correctValue, range, numberGuesses, words, answeredCount, counts, playerChoices,
   });
 
   // Leaderboard (built now, shown later when host clicks Next)
+  el.teamBoard.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = teamLeaderboard ? buildTeamLeaderboard(teamLeaderboard) : '';
   el.board.innerHTML = buildRaceLeaderboard(leaderboard, prevLeaderboard);
   prevLeaderboard = [...leaderboard];
 
-  // Review stats
+  // Review stats (polls and word clouds have no right answer)
+  if (percentCorrect === null) {
+    el.reviewStats.classList.add('hidden');
+    return;
+  }
   el.reviewStats.innerHTML = `
     <div class="review-stat">
       <div class="review-stat-value">${percentCorrect ?? '—'}%</div>
@@ -894,7 +1414,7 @@ function advanceQuestion() {
   el.nextBtn.classList.add('hidden');
   el.lbNextBtn.classList.add('hidden');
   el.reviewStats.classList.add('hidden');
-  socket.emit('host:next', { gameId, imageData: getImageData(hostCurrentIndex + 1) });
+  socket.emit('host:next', { gameId });
 }
 
 el.autoAdvanceCancelBtn.addEventListener('click', () => {
@@ -913,23 +1433,197 @@ el.nextBtn.addEventListener('click', showLeaderboard);
 el.lbNextBtn.addEventListener('click', advanceQuestion);
 
 // ── Game over ─────────────────────────────────────────────────
-socket.on('game:over', ({ leaderboard }) => {
+socket.on('game:over', ({ leaderboard, teamLeaderboard }) => {
+  if (homeworkMode) return; // deadline passed: the results board updates itself
+  clearHostSession();
+  setConnectionStatus();
+  el.playersDrawer.classList.add('hidden');
+  saveReportEntry({ gameId, secret: hostSecret, title: el.lobbyTitle.textContent, readyAt: Date.now() });
+  fetchResults(r => { finalResults = r; el.exportRow.classList.remove('hidden'); });
   stopTimer?.();
-  el.podiumWrap.innerHTML  = buildPodium(leaderboard);
+  el.podiumWrap.innerHTML  = teamLeaderboard ? buildTeamPodium(teamLeaderboard) : buildPodium(leaderboard);
   el.finalBoard.innerHTML  = buildLeaderboard(leaderboard);
   showOnly(el.screenOver);
   try { el.end.currentTime = 0; el.end.play(); } catch {}
   launchConfetti();
 });
 
+// ── Results export ────────────────────────────────────────────
+// A live room is deleted a minute after the game ends, so its results are
+// fetched at game over and kept for the download buttons. Homework rooms
+// last a week, so those are fetched fresh on each download.
+let finalResults = null;
+
+function fetchResults(done) {
+  socket.emit('host:export', { gameId }, (res) => { if (res?.ok) done(res); });
+}
+
+// One row per player, four columns per question; the first rows carry the
+// question text and the answer key
+function resultsCsv(r) {
+  const cell = v => {
+    if (v === null || v === undefined) return '';
+    let s = String(v);
+    // Keep spreadsheets from running typed answers as formulas (negative numbers are fine)
+    if (typeof v === 'string' && /^(?:[=+@\t\r]|-(?![\d.]))/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const perQuestion = fn => r.questions.flatMap(fn);
+  const rows = [
+    ['Player', 'Team', 'Score', ...perQuestion(q => [`Q${q.index + 1} answer`, `Q${q.index + 1} correct`, `Q${q.index + 1} time (s)`, `Q${q.index + 1} points`])],
+    ['Question', '', '', ...perQuestion(q => [q.text, '', '', ''])],
+    ['Correct answer', '', '', ...perQuestion(q => [q.correctAnswer ?? '(no right answer)', '', '', q.voided ? 'void' : ''])],
+  ];
+  r.players.forEach(p => {
+    rows.push([p.name, p.team ?? '', p.score, ...perQuestion(q => {
+      const a = q.answers.find(x => x.name === p.name);
+      if (!a) return ['', '', '', ''];
+      const correct = q.correctAnswer === null ? '' : a.correct ? 'yes' : a.credit > 0 ? `partial (${Math.round(a.credit * 100)}%)` : 'no';
+      return [a.answer ?? '', correct, a.responseMs !== null ? (a.responseMs / 1000).toFixed(1) : '', a.points];
+    })]);
+  });
+  return rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+function downloadResults(r, format) {
+  const name = `questron-${r.gameId}-results.${format}`;
+  const text = format === 'csv' ? '\ufeff' + resultsCsv(r) : JSON.stringify(r, null, 2);
+  const url  = URL.createObjectURL(new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.addEventListener('click', e => {
+  const btn = e.target.closest('[data-export]');
+  if (!btn) return;
+  if (finalResults && !homeworkMode) downloadResults(finalResults, btn.dataset.export);
+  else fetchResults(r => downloadResults(r, btn.dataset.export));
+});
+
+// ── Saved reports ─────────────────────────────────────────────
+// The server keeps a summary of every finished game after its room is gone.
+// Games hosted from this browser are listed on the create screen; homework
+// rooms show up once their deadline has passed.
+const REPORTS_KEY = 'questron-reports';
+
+function loadReportEntries() {
+  try { return JSON.parse(localStorage.getItem(REPORTS_KEY) || '[]'); } catch { return []; }
+}
+
+function storeReportEntries(entries) {
+  try { localStorage.setItem(REPORTS_KEY, JSON.stringify(entries.slice(0, 30))); } catch {}
+  renderReportEntries();
+}
+
+function saveReportEntry(entry) {
+  if (!entry.gameId || !entry.secret) return;
+  storeReportEntries([entry, ...loadReportEntries().filter(r => r.gameId !== entry.gameId)]);
+}
+
+function renderReportEntries() {
+  const ready = loadReportEntries().filter(r => r.readyAt <= Date.now());
+  el.pastReports.classList.toggle('hidden', ready.length === 0);
+  el.pastReportList.innerHTML = ready.map(r => `
+    <div class="homework-room">
+      <div>
+        <div class="homework-room-title">${escHtml(r.title)}</div>
+        <div class="muted">${escHtml(r.gameId)} · ${escHtml(formatDeadline(r.readyAt))}</div>
+      </div>
+      <button class="btn btn-ghost" data-report="${escHtml(r.gameId)}">Report →</button>
+    </div>`).join('');
+}
+
+let shownReport = null; // { gameId, token } of the report on screen, for the share link
+
+async function openReport(code, credentials) {
+  el.reportTitle.textContent = 'Loading report…';
+  el.reportMeta.textContent  = '';
+  el.reportPodium.innerHTML = el.reportQuestions.innerHTML = el.reportPlayers.innerHTML = '';
+  el.reportShareBtn.classList.add('hidden');
+  showOnly(el.screenReport);
+  let data;
+  try {
+    const res = await fetch(`${GAME_SERVER_URL}/api/report/${encodeURIComponent(code)}?${new URLSearchParams(credentials)}`);
+    data = await res.json();
+  } catch {
+    el.reportTitle.textContent = 'Couldn’t reach the server. Try again in a moment.';
+    return;
+  }
+  if (!data?.ok) {
+    // Expired (or never saved): nothing left to reopen
+    if (credentials.secret) storeReportEntries(loadReportEntries().filter(r => r.gameId !== code));
+    el.reportTitle.textContent = 'Report not available';
+    el.reportMeta.textContent  = 'It may have expired, or the link is incomplete.';
+    return;
+  }
+  shownReport = { gameId: code, token: data.token };
+  el.reportShareBtn.classList.remove('hidden');
+  renderReport(data.report);
+}
+
+function renderReport(r) {
+  el.reportTitle.textContent = r.title;
+  el.reportMeta.textContent  = `${r.gameId} · ${r.homework ? 'Homework' : 'Live game'} · ${formatDeadline(r.finishedAt)}`
+    + ` · ${r.players.length} player${r.players.length === 1 ? '' : 's'} · kept until ${new Date(r.expiresAt).toLocaleDateString()}`;
+  el.reportPodium.innerHTML = r.teamLeaderboard ? buildTeamPodium(r.teamLeaderboard) : buildPodium(r.players);
+  el.reportQuestions.innerHTML = r.questions.map(q => `
+    <div class="homework-row">
+      <span class="homework-rank">${q.index + 1}</span>
+      <span class="homework-name" title="${escHtml(q.text)}">${escHtml(q.text)}</span>
+      <span class="homework-progress" title="${q.percentCorrect ?? 0}% correct">
+        <span class="homework-progress-fill" style="width:${q.percentCorrect ?? 0}%"></span>
+      </span>
+      <span class="homework-meta">${q.answered} answered${q.avgResponseMs !== null ? ` · ${(q.avgResponseMs / 1000).toFixed(1)}s avg` : ''}</span>
+      <span class="homework-score">${q.voided ? 'void' : q.percentCorrect !== null ? `${q.percentCorrect}%` : '—'}</span>
+    </div>`).join('');
+  const counted = r.questions.filter(q => !q.voided).length;
+  el.reportPlayers.innerHTML = r.players.length === 0 ? '<span class="muted">No one played.</span>' : r.players.map((p, i) => `
+    <div class="homework-row">
+      <span class="homework-rank">${i + 1}</span>
+      <span class="homework-name">${escHtml(p.name)}</span>
+      <span class="homework-meta">${p.team ? `Team ${escHtml(p.team)}` : ''}</span>
+      <span class="homework-meta">${p.correct} ✓ · ${p.answered}/${counted} answered</span>
+      <span class="homework-score">${p.score.toLocaleString()}</span>
+    </div>`).join('');
+}
+
+el.pastReportList.addEventListener('click', e => {
+  const btn   = e.target.closest('[data-report]');
+  const entry = btn && loadReportEntries().find(r => r.gameId === btn.dataset.report);
+  if (entry) openReport(entry.gameId, { secret: entry.secret });
+});
+
+// Read-only link: carries the report token, never the host secret
+el.reportShareBtn.addEventListener('click', () => {
+  if (!shownReport) return;
+  const link = `${location.origin}/host#report=${shownReport.gameId}&token=${shownReport.token}`;
+  navigator.clipboard.writeText(link).then(() => showToast('Share link copied'));
+});
+
+el.reportBackBtn.addEventListener('click', () => {
+  shownReport = null;
+  showOnly(el.screenCreate);
+});
+
+renderReportEntries();
+
 // ── Cancelled ─────────────────────────────────────────────────
 socket.on('game:cancelled', ({ reason }) => {
+  clearHostSession();
+  setConnectionStatus();
+  el.playersDrawer.classList.add('hidden');
   el.cancelReason.textContent = reason || 'Game ended.';
   showOnly(el.screenCancelled);
 });
 
 // ── Back to create ────────────────────────────────────────────
 el.backToCreateBtn.addEventListener('click', () => {
+  clearHostSession();
+  setConnectionStatus();
+  el.playersDrawer.classList.add('hidden');
   gameId   = null;
   payload  = null;
   isPaused = false;
@@ -947,13 +1641,24 @@ el.backToCreateBtn.addEventListener('click', () => {
   try{ if(localStorage.getItem('qDonDismiss')!=='1'){ const b=document.getElementById('donateBanner'); if(b) b.style.display=''; } }catch{}
   el.lobbyPlayers.appendChild(el.lobbyEmpty);
   el.board.innerHTML         = '';
+  el.teamBoard.innerHTML     = '';
   el.finalBoard.innerHTML    = '';
+  el.exportRow.classList.add('hidden');
+  finalResults    = null;
   prevLeaderboard = [];
   showOnly(el.screenCreate);
 });
 
 // ── Load quiz payload from library (via sessionStorage) ───────
 (function () {
+  if (restoreHostSession()) return;
+  // Shared report link
+  const shared = new URLSearchParams(location.hash.slice(1));
+  if (shared.get('report') && shared.get('token')) {
+    history.replaceState(null, '', location.pathname);
+    openReport(shared.get('report'), { token: shared.get('token') });
+    return;
+  }
   const stored = sessionStorage.getItem('questron_quiz_payload');
   if (stored && new URLSearchParams(location.search).has('from')) {
     if (location.search) history.replaceState(null, '', location.pathname);
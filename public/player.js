@@ -15,18 +15,37 @@ const el = {
 
   joinGameBadge:     $('joinGameBadge'),
   nameInput:         $('nameInput'),
+  passwordField:     $('passwordField'),
+  passwordInput:     $('passwordInput'),
   joinBtn:           $('joinBtn'),
   joinMsg:           $('joinMsg'),
 
   waitingName:       $('waitingName'),
   waitingHeading:    $('waitingHeading'),
+  waitingLabel:      $('waitingLabel'),
+  hwStartBtn:        $('hwStartBtn'),
+  hwNextBtn:         $('hwNextBtn'),
   waitingGameTitle:  $('waitingGameTitle'),
 
   qText:             $('qText'),
+  multiHint:         $('multiHint'),
   qImage:            $('qImage'),
+  qClip:             $('qClip'),
   qIndex:            $('qIndex'),
   qTotal:            $('qTotal'),
   answers:           $('answers'),
+  textAnswerForm:    $('textAnswerForm'),
+  textAnswerInput:   $('textAnswerInput'),
+  textAnswerBtn:     $('textAnswerBtn'),
+  orderSubmitBtn:    $('orderSubmitBtn'),
+  multiSubmitBtn:    $('multiSubmitBtn'),
+  numberAnswerForm:  $('numberAnswerForm'),
+  numberAnswerInput: $('numberAnswerInput'),
+  numberAnswerBtn:   $('numberAnswerBtn'),
+  numberSlider:      $('numberSlider'),
+  numberUnit:        $('numberUnit'),
+  numberMin:         $('numberMin'),
+  numberMax:         $('numberMax'),
   playerProgressBar: $('playerProgressBar'),
   lockedState:       $('lockedState'),
   lockedChoiceLabel: $('lockedChoiceLabel'),
@@ -35,6 +54,7 @@ const el = {
   feedbackDelta:     $('feedbackDelta'),
   feedbackLabel:     $('feedbackLabel'),
   feedbackStreak:    $('feedbackStreak'),
+  feedbackExplanation: $('feedbackExplanation'),
   rankBadge:         $('rankBadge'),
   reactionBar:       $('reactionBar'),
   feedbackFlash:     $('feedbackFlash'),
@@ -42,6 +62,8 @@ const el = {
   revealAudio:       $('revealAudio'),
 
   board:             $('board'),
+  teamBoard:         $('teamBoard'),
+  teamPicker:        $('teamPicker'),
   podiumWrap:        $('podiumWrap'),
   finalBoard:        $('finalBoard'),
   backToJoinBtn:     $('backToJoinBtn'),
@@ -57,12 +79,25 @@ let   myName          = nameFromJoin || '';
 if (location.search) history.replaceState(null, '', location.pathname);
 let   currentQId      = null;
 let   lockedOptionId  = null;
+let   lockedPicks     = null;    // submitted option IDs for multi-select questions
+let   multiSelect     = false;   // current question is 'select all that apply'
+let   lockedText      = null;    // typed answer for 'text' questions
+let   lockedOrder     = null;    // submitted option IDs for 'order' questions
+let   lockedNumber    = null;    // submitted estimate for 'number' questions
+let   currentRange    = null;    // { min, max, step, unit } for 'number' questions
+let   currentFormat   = 'plain'; // quiz's textFormat, for richText()
+let   myTeam          = null;    // team ID when the host turned on team mode
+let   teamSettings    = null;    // { mode, list: [{ id, name }] }
+let   teamRoster      = null;    // latest lobby:update teams, for member counts
+let   homework        = null;    // { deadlineMs, total, done, finished } in self-paced rooms
+let   hwTimeout       = null;    // asks the server to close a homework question when time's up
 let   reactionSentForQ = null;   // limits reactions to one per question
 let   stopTimer       = null;
 let   myRank          = null;
 let   prevLeaderboard = [];
 let   wasKicked       = false;  // prevents auto-rejoin after being removed
 let   rejoinToken     = null;
+let   roomPassword    = '';      // kept for reconnects while waiting to be let in
 
 // ── Screen management ─────────────────────────────────────────
 function showOnly(screenEl) {
@@ -72,45 +107,88 @@ function showOnly(screenEl) {
   screenEl.classList.remove('hidden');
 }
 // ── Rejoin / sessionStorage ────────────────────────────────────────
+// Homework sessions also go to localStorage: players come back days later.
 function saveSession(gId, name) {
-  try { sessionStorage.setItem('nq_session', JSON.stringify({ gameId: gId, name, rejoinToken })); } catch {}
+  const data = JSON.stringify({ gameId: gId, name, rejoinToken });
+  try { sessionStorage.setItem('nq_session', data); } catch {}
+  if (homework) try { localStorage.setItem('nq_homework', data); } catch {}
 }
 function clearSession() {
   try { sessionStorage.removeItem('nq_session'); } catch {}
 }
 function loadSession() {
-  try { return JSON.parse(sessionStorage.getItem('nq_session') || 'null'); } catch { return null; }
+  try {
+    return JSON.parse(sessionStorage.getItem('nq_session') || 'null')
+      || JSON.parse(localStorage.getItem('nq_homework') || 'null');
+  } catch { return null; }
 }
 // Restore rejoin token from previous session (survives page refresh)
 const _savedSession = loadSession();
 if (_savedSession && _savedSession.gameId === gameId && _savedSession.rejoinToken) {
   rejoinToken = _savedSession.rejoinToken;
+  if (!nameFromJoin && _savedSession.name) el.nameInput.value = _savedSession.name;
+}
+
+// Password typed on join.html, handed over without putting it in the URL
+try {
+  const saved = JSON.parse(sessionStorage.getItem('questron-room-password') || 'null');
+  if (saved && saved.gameId === gameId) roomPassword = saved.password || '';
+} catch {}
+
+// Shared handling for a player:join reply (and a waiting-room approval)
+function joined(res, name) {
+  if (!res?.ok) {
+    el.joinMsg.textContent = res?.error || 'Unable to join.';
+    el.joinBtn.disabled = false;
+    if (res?.needsPassword) {
+      el.passwordField.classList.remove('hidden');
+      el.passwordInput.value = '';
+    }
+    showOnly(el.screenJoin);
+    if (res?.needsPassword) el.passwordInput.focus();
+    return;
+  }
+  myName = name;
+  el.waitingName.textContent = name;
+  el.waitingGameTitle.textContent = res.title
+    ? `"${res.title}"${res.questionCount ? ` · ${res.questionCount} questions` : ''}`
+    : '';
+  if (res.pending) {
+    // Not in the lobby yet: no token until the host lets us in
+    el.waitingLabel.textContent = 'Waiting for the host to let you in\u2026';
+    showOnly(el.screenWaiting);
+    return;
+  }
+  el.waitingLabel.textContent = 'Waiting for host to start';
+  if (res.reconnected) {
+    el.waitingHeading && (el.waitingHeading.textContent = "You're back!");
+  }
+  if (res.rejoinToken) rejoinToken = res.rejoinToken;
+  setTeam(res.team, res.teams);
+  setHomework(res.homework);
+  if (res.late) el.waitingLabel.textContent = 'Game in progress \u00b7 you\u2019re in from the next question';
+  saveSession(gameId, name);
+  try { sessionStorage.removeItem('questron-room-password'); } catch {}
+  showOnly(el.screenWaiting);
 }
 
 // On reconnect, try to rejoin automatically
 socket.on('connect', () => {
   if (wasKicked) return;  // don't auto-rejoin after being kicked
   if (myName && gameId) {
-    socket.emit('player:join', { gameId, name: myName, rejoinToken }, (res) => {
-      if (!res?.ok) {
-        el.joinMsg.textContent = res?.error || 'Unable to join.';
-        el.joinBtn.disabled = false;
-        showOnly(el.screenJoin);
-        return;
-      }
-      if (res.reconnected) {
-        el.waitingHeading && (el.waitingHeading.textContent = "You're back!");
-      }
-      if (res.rejoinToken) rejoinToken = res.rejoinToken;
-      saveSession(gameId, myName);
-      el.waitingName.textContent = myName;
-      el.waitingGameTitle.textContent = res.title
-        ? `"${res.title}"${res.questionCount ? ` · ${res.questionCount} questions` : ''}`
-        : '';
-      showOnly(el.screenWaiting);
-    });
+    socket.emit('player:join', { gameId, name: myName, rejoinToken, password: roomPassword }, (res) => joined(res, myName));
   }
 });
+
+// Waiting room verdicts
+socket.on('join:approved', (res) => joined(res, myName));
+socket.on('join:denied', ({ error } = {}) => {
+  myName = '';  // don't ask again on reconnect
+  el.joinMsg.textContent = error || 'The host didn\u2019t let you in.';
+  el.joinBtn.disabled = false;
+  showOnly(el.screenJoin);
+});
+
 // ── Pre-fill from URL params ──────────────────────────────────
 if (gameId) {
   el.joinGameBadge.textContent = `ROOM · ${gameId}`;
@@ -130,6 +208,8 @@ if (nameFromJoin) {
 // ── Join flow ─────────────────────────────────────────────────
 el.nameInput.addEventListener('input', () => { el.joinMsg.textContent = ''; });
 el.nameInput.addEventListener('keydown', e => { if (e.key === 'Enter') el.joinBtn.click(); });
+el.passwordInput.addEventListener('input', () => { el.joinMsg.textContent = ''; });
+el.passwordInput.addEventListener('keydown', e => { if (e.key === 'Enter') el.joinBtn.click(); });
 
 el.joinBtn.addEventListener('click', () => {
   const name = el.nameInput.value.trim();
@@ -141,22 +221,79 @@ el.joinBtn.addEventListener('click', () => {
     el.joinMsg.textContent = 'No room code found — go back to join page.';
     return;
   }
+  if (!el.passwordField.classList.contains('hidden')) roomPassword = el.passwordInput.value;
   el.joinBtn.disabled = true;
-  socket.emit('player:join', { gameId, name, rejoinToken }, (res) => {
-    if (!res?.ok) {
-      el.joinMsg.textContent = res?.error || 'Unable to join.';
-      el.joinBtn.disabled = false;
-      return;
-    }
-    myName = name;
-    if (res.rejoinToken) rejoinToken = res.rejoinToken;
-    saveSession(gameId, name);
-    el.waitingName.textContent   = name;
-    el.waitingGameTitle.textContent = res.title
-      ? `"${res.title}"${res.questionCount ? ` · ${res.questionCount} questions` : ''}`
+  socket.emit('player:join', { gameId, name, rejoinToken, password: roomPassword }, (res) => joined(res, name));
+});
+
+// ── Homework (self-paced) ─────────────────────────────────────
+// Waiting screen shows the deadline and a start / continue button instead
+// of waiting for the host.
+function setHomework(info) {
+  homework = info ?? null;
+  el.hwStartBtn.classList.toggle('hidden', !homework || homework.finished);
+  if (!homework) return;
+  const due = new Date(homework.deadlineMs).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  el.waitingLabel.textContent = homework.finished
+    ? `All done! Final standings after ${due}`
+    : `Homework · due ${due}`;
+  el.hwStartBtn.textContent = homework.done > 0
+    ? `Continue · Question ${homework.done + 1} of ${homework.total} →`
+    : `Start · ${homework.total} Questions →`;
+}
+
+el.hwStartBtn.addEventListener('click', () => {
+  el.hwStartBtn.disabled = true;
+  socket.emit('homework:next', { gameId });
+  setTimeout(() => { el.hwStartBtn.disabled = false; }, 1500);
+});
+
+el.hwNextBtn.addEventListener('click', () => {
+  el.hwNextBtn.classList.add('hidden');
+  socket.emit('homework:next', { gameId });
+});
+
+// ── Teams ─────────────────────────────────────────────────────
+function setTeam(team, teams) {
+  myTeam       = team ?? null;
+  teamSettings = teams ?? null;
+  renderTeamPicker();
+}
+
+// Waiting screen: a badge for auto-balanced teams, or buttons to switch
+// sides when players choose.
+function renderTeamPicker() {
+  if (!teamSettings) { el.teamPicker.classList.add('hidden'); return; }
+  el.teamPicker.classList.remove('hidden');
+  const sizeOf = id => teamRoster?.find(t => t.id === id)?.players.length;
+  if (teamSettings.mode !== 'choose') {
+    const t = teamSettings.list.find(t => t.id === myTeam);
+    el.teamPicker.innerHTML = t
+      ? `<span class="team-badge" style="--team-color:${teamColor(t.id)}">Team ${escHtml(t.name)}</span>`
       : '';
-    showOnly(el.screenWaiting);
-  });
+    return;
+  }
+  el.teamPicker.innerHTML = teamSettings.list.map(t => {
+    const n = sizeOf(t.id);
+    return `<button class="team-pick-btn${t.id === myTeam ? ' active' : ''}" data-team="${t.id}" style="--team-color:${teamColor(t.id)}">` +
+      `Team ${escHtml(t.name)}${n !== undefined ? ` <span>${n}</span>` : ''}</button>`;
+  }).join('');
+}
+
+el.teamPicker.addEventListener('click', e => {
+  const btn = e.target.closest('[data-team]');
+  if (!btn || btn.dataset.team === myTeam) return;
+  socket.emit('player:chooseTeam', { gameId, team: btn.dataset.team });
+});
+
+socket.on('player:team', ({ team }) => {
+  myTeam = team;
+  renderTeamPicker();
+});
+
+socket.on('lobby:update', ({ teams }) => {
+  teamRoster = teams || null;
+  renderTeamPicker();
 });
 
 // ── Game started ──────────────────────────────────────────────
@@ -167,8 +304,18 @@ socket.on('game:started', () => {
 // ── Question display ──────────────────────────────────────────
 socket.on('question:show', (q) => {
   stopTimer?.();
+  clearTimeout(hwTimeout);
+  el.hwNextBtn.classList.add('hidden');
+  document.getElementById('playerPauseBanner')?.remove();
   currentQId   = q.id;
   lockedOptionId = null;
+  lockedPicks    = null;
+  multiSelect    = !!q.multiSelect;
+  lockedText     = null;
+  lockedOrder    = null;
+  lockedNumber   = null;
+  currentRange   = q.range || null;
+  currentFormat  = q.format || 'plain';
   reactionSentForQ = null;
   // Re-enable all reaction buttons for the new question
   el.reactionBar.querySelectorAll('.reaction-btn').forEach(b => {
@@ -181,15 +328,19 @@ socket.on('question:show', (q) => {
   el.playerProgressBar.style.width = pct + '%';
   el.qIndex.textContent = q.index + 1;
   el.qTotal.textContent = q.total;
-  el.qText.textContent  = q.text;
+  el.qText.innerHTML    = richText(q.text, q.format);
+  el.multiHint.classList.toggle('hidden', !q.multiSelect);
 
-  if (q.imageData || q.imageUrl) {
-    el.qImage.src = q.imageData || q.imageUrl;
+  const imageSrc = questionImageSrc(q);
+  if (imageSrc) {
+    el.qImage.src = imageSrc;
     el.qImage.classList.remove('hidden');
     el.qImage.onerror = () => el.qImage.classList.add('hidden');
   } else {
     el.qImage.classList.add('hidden');
   }
+  // A clip plays here only if the host chose phones as well as the big screen
+  const clip = mountQuestionClip(el.qClip, q.clipsOnDevices ? q : {});
 
   // Reset rank badge (will update after next leaderboard)
   el.rankBadge.style.display = 'none';
@@ -199,7 +350,7 @@ socket.on('question:show', (q) => {
     el.rankBadge.style.display = 'inline-flex';
   }
 
-  el.reactionBar.style.display = 'flex';
+  el.reactionBar.style.display = homework ? 'none' : 'flex';
 
   // Reset feedback + locked
   el.lockedState.classList.add('hidden');
@@ -207,22 +358,66 @@ socket.on('question:show', (q) => {
   if (el.feedbackStreak) el.feedbackStreak.classList.add('hidden');
   el.answers.classList.remove('hidden');
 
-  // Build answer buttons
+  // Typed-answer and word-cloud questions use the text form instead of option buttons
+  const usesTextForm = q.type === 'text' || q.type === 'wordcloud';
   el.answers.innerHTML = '';
-  q.options.forEach((opt, idx) => {
+  el.textAnswerForm.classList.toggle('hidden', !usesTextForm);
+  if (usesTextForm) {
+    el.answers.classList.add('hidden');
+    el.textAnswerInput.maxLength   = q.type === 'wordcloud' ? 30 : 100;
+    el.textAnswerInput.placeholder = q.type === 'wordcloud' ? 'Send a word…' : 'Type your answer…';
+    el.textAnswerInput.value    = '';
+    el.textAnswerInput.disabled = false;
+    el.textAnswerBtn.disabled   = false;
+  }
+
+  // Estimates use the slider / keypad form, starting from the middle of the range
+  el.numberAnswerForm.classList.toggle('hidden', q.type !== 'number');
+  if (q.type === 'number' && currentRange) {
+    const { min, max, step, unit } = currentRange;
+    const mid = min + Math.round((max - min) / 2 / step) * step;
+    Object.assign(el.numberSlider, { min, max, step });
+    Object.assign(el.numberAnswerInput, { min, max, step });
+    el.numberSlider.value       = mid;
+    el.numberAnswerInput.value  = mid;
+    el.numberUnit.textContent   = unit;
+    el.numberMin.textContent    = formatNumberAnswer(min, unit);
+    el.numberMax.textContent    = formatNumberAnswer(max, unit);
+    el.numberAnswerInput.disabled = false;
+    el.numberSlider.disabled      = false;
+    el.numberAnswerBtn.disabled   = false;
+    el.answers.classList.add('hidden');
+  }
+
+  el.answers.classList.toggle('order-list', q.type === 'order');
+  el.orderSubmitBtn.classList.toggle('hidden', q.type !== 'order');
+  el.orderSubmitBtn.disabled = false;
+  if (q.type === 'order') buildOrderList(q.options);
+  el.multiSubmitBtn.classList.toggle('hidden', !multiSelect);
+  updateMultiSubmit();
+
+  // Build answer buttons
+  if (q.type !== 'order') q.options.forEach((opt, idx) => {
     const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
     const btn = document.createElement('button');
-    btn.className  = `answer ${s.color}`;
+    btn.className  = `answer ${s.color}${opt.imagePath ? ' has-image' : ''}`;
     btn.dataset.id = opt.id;
     btn.innerHTML  =
       `<span class="answer-fill-bar"></span>` +
       `<span class="shape">${s.shape}</span>` +
-      `<span class="label">${escHtml(opt.label)}</span>` +
+      optionImageHtml(opt) +
+      `<span class="label">${richText(opt.label, q.format, true)}</span>` +
       `<span class="answer-icon"></span>`;
 
     btn.addEventListener('click', () => {
-      if (lockedOptionId) return;
-      selectAnswer(q.id, opt.id, opt.label, s.color);
+      if (hasLocked()) return;
+      if (multiSelect) {
+        btn.classList.toggle('selected');
+        btn.querySelector('.answer-icon').textContent = btn.classList.contains('selected') ? '✓' : '';
+        updateMultiSubmit();
+        return;
+      }
+      selectAnswer(q.id, opt.id, btn.querySelector('.label').textContent, s.color);
     });
 
     // 3D tilt
@@ -243,12 +438,19 @@ socket.on('question:show', (q) => {
   });
 
   showOnly(el.screenPlay);
+  if (usesTextForm) el.textAnswerInput.focus();
 
   // Timer
   stopTimer = startTimerRing('playerTimerWrap', q.timeLimitSeconds);
+  // Homework has no host to end the round: ask the server once our time is up
+  if (homework) {
+    hwTimeout = setTimeout(() => { if (!hasLocked()) socket.emit('homework:next', { gameId }); }, q.timeLimitSeconds * 1000 + 300);
+  }
 
-  // Music
-  try { el.music.currentTime = 0; el.music.play(); } catch {}
+  // Music, unless the clip is playing
+  if (!clip) {
+    try { el.music.currentTime = 0; el.music.play(); } catch {}
+  }
 });
 
 // ── Player selects answer ─────────────────────────────────────
@@ -274,6 +476,167 @@ function selectAnswer(qId, optionId, optionLabel, colorClass) {
   socket.emit('player:answer', { gameId, questionId: qId, optionId });
 }
 
+// ── Player submits multi-select picks ─────────────────────────
+function updateMultiSubmit() {
+  const picked = el.answers.querySelectorAll('.answer.selected').length;
+  el.multiSubmitBtn.disabled    = picked === 0 || el.answers.classList.contains('order-paused');
+  el.multiSubmitBtn.textContent = picked === 0 ? 'Pick all that apply' : `Lock In ${picked} Answer${picked === 1 ? '' : 's'} →`;
+}
+
+el.multiSubmitBtn.addEventListener('click', () => {
+  if (hasLocked() || !currentQId) return;
+  const picked = [...el.answers.querySelectorAll('.answer.selected')];
+  if (picked.length === 0) return;
+  lockedPicks = picked.map(btn => btn.dataset.id);
+
+  [...el.answers.children].forEach(btn => {
+    btn.disabled = true;
+    btn.classList.remove('selected');
+    btn.querySelector('.answer-icon').textContent = '';
+    if (lockedPicks.includes(btn.dataset.id)) btn.classList.add('locked');
+  });
+  el.lockedChoiceLabel.textContent = picked.map(btn => btn.querySelector('.label')?.textContent || '').join(' + ');
+  el.lockedChoiceLabel.className = 'locked-badge answer opt-a';
+  el.lockedChoiceLabel.style.cssText = '';
+  el.lockedState.classList.remove('hidden');
+  el.answers.classList.add('hidden');
+  el.multiSubmitBtn.classList.add('hidden');
+
+  socket.emit('player:answer', { gameId, questionId: currentQId, optionIds: lockedPicks });
+});
+
+// ── Ordering questions: drag (or nudge) items into sequence ───
+function buildOrderList(options) {
+  options.forEach((opt, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const item = document.createElement('div');
+    item.className  = `answer ${s.color} order-item`;
+    item.dataset.id = opt.id;
+    item.innerHTML  =
+      `<span class="shape"></span>` +
+      `<span class="label">${richText(opt.label, currentFormat, true)}</span>` +
+      `<span class="order-moves">` +
+        `<button type="button" data-move="-1" aria-label="Move up">\u25b2</button>` +
+        `<button type="button" data-move="1" aria-label="Move down">\u25bc</button>` +
+      `</span>`;
+    item.addEventListener('pointerdown', e => startOrderDrag(e, item));
+    el.answers.appendChild(item);
+  });
+  renumberOrderList();
+}
+
+function renumberOrderList() {
+  [...el.answers.children].forEach((item, i) => {
+    const shape = item.querySelector('.shape');
+    if (shape) shape.textContent = i + 1;
+  });
+}
+
+function orderLocked() {
+  return lockedOrder !== null || el.answers.classList.contains('order-paused');
+}
+
+el.answers.addEventListener('click', e => {
+  const moveBtn = e.target.closest('[data-move]');
+  if (!moveBtn || orderLocked()) return;
+  const item = moveBtn.closest('.order-item');
+  if (!item) return;
+  if (moveBtn.dataset.move === '-1' && item.previousElementSibling) {
+    el.answers.insertBefore(item, item.previousElementSibling);
+  } else if (moveBtn.dataset.move === '1' && item.nextElementSibling) {
+    el.answers.insertBefore(item.nextElementSibling, item);
+  }
+  renumberOrderList();
+});
+
+function startOrderDrag(e, item) {
+  if (orderLocked() || e.target.closest('[data-move]')) return;
+  e.preventDefault();
+  item.classList.add('dragging');
+  item.setPointerCapture?.(e.pointerId);
+  const onMove = ev => {
+    // Drop before the first sibling whose midpoint is below the pointer
+    const others = [...el.answers.children].filter(c => c !== item);
+    const before = others.find(c => {
+      const r = c.getBoundingClientRect();
+      return ev.clientY < r.top + r.height / 2;
+    });
+    if (before) { if (item.nextElementSibling !== before) el.answers.insertBefore(item, before); }
+    else if (el.answers.lastElementChild !== item) el.answers.appendChild(item);
+    renumberOrderList();
+  };
+  const onUp = () => {
+    item.classList.remove('dragging');
+    item.removeEventListener('pointermove', onMove);
+    item.removeEventListener('pointerup', onUp);
+    item.removeEventListener('pointercancel', onUp);
+  };
+  item.addEventListener('pointermove', onMove);
+  item.addEventListener('pointerup', onUp);
+  item.addEventListener('pointercancel', onUp);
+}
+
+el.orderSubmitBtn.addEventListener('click', () => {
+  if (hasLocked() || !currentQId) return;
+  lockedOrder = [...el.answers.children].map(item => item.dataset.id);
+
+  el.lockedChoiceLabel.textContent = [...el.answers.children]
+    .map((item, i) => `${i + 1}. ${item.querySelector('.label')?.textContent || ''}`).join('  ');
+  el.lockedChoiceLabel.className = 'locked-badge answer opt-a';
+  el.lockedChoiceLabel.style.cssText = '';
+  el.lockedState.classList.remove('hidden');
+  el.answers.classList.add('hidden');
+  el.orderSubmitBtn.classList.add('hidden');
+
+  socket.emit('player:answer', { gameId, questionId: currentQId, optionIds: lockedOrder });
+});
+
+// ── Player submits a typed answer ─────────────────────────────
+el.textAnswerForm.addEventListener('submit', e => {
+  e.preventDefault();
+  if (hasLocked() || !currentQId) return;
+  const text = el.textAnswerInput.value.trim();
+  if (!text) return;
+  lockedText = text;
+
+  el.lockedChoiceLabel.textContent = text;
+  el.lockedChoiceLabel.className = 'locked-badge answer opt-a';
+  el.lockedChoiceLabel.style.cssText = '';
+  el.lockedState.classList.remove('hidden');
+  el.textAnswerForm.classList.add('hidden');
+
+  socket.emit('player:answer', { gameId, questionId: currentQId, text });
+});
+
+// ── Player submits an estimate ────────────────────────────────
+el.numberSlider.addEventListener('input', () => {
+  el.numberAnswerInput.value = el.numberSlider.value;
+});
+el.numberAnswerInput.addEventListener('input', () => {
+  el.numberSlider.value = el.numberAnswerInput.value;
+});
+
+el.numberAnswerForm.addEventListener('submit', e => {
+  e.preventDefault();
+  if (hasLocked() || !currentQId || !currentRange) return;
+  const raw = parseFloat(el.numberAnswerInput.value);
+  if (!Number.isFinite(raw)) return;
+  const value = Math.max(currentRange.min, Math.min(currentRange.max, raw));
+  lockedNumber = value;
+
+  el.lockedChoiceLabel.textContent = formatNumberAnswer(value, currentRange.unit);
+  el.lockedChoiceLabel.className = 'locked-badge answer opt-a';
+  el.lockedChoiceLabel.style.cssText = '';
+  el.lockedState.classList.remove('hidden');
+  el.numberAnswerForm.classList.add('hidden');
+
+  socket.emit('player:answer', { gameId, questionId: currentQId, value });
+});
+
+function hasLocked() {
+  return lockedOptionId !== null || lockedPicks !== null || lockedText !== null || lockedOrder !== null || lockedNumber !== null;
+}
+
 // ── Server confirm locked ─────────────────────────────────────
 socket.on('player:locked', () => {
   // Already handled UI-side, no action needed
@@ -282,9 +645,18 @@ socket.on('player:locked', () => {
 // ── Game paused / resumed ─────────────────────────────────────
 socket.on('game:paused', () => {
   stopTimer?.();
+  pauseQuestionClip(el.qClip);
   // Disable answer buttons so players can't submit while paused
-  if (!lockedOptionId) {
+  if (!hasLocked()) {
     [...el.answers.children].forEach(btn => btn.disabled = true);
+    el.textAnswerInput.disabled = true;
+    el.textAnswerBtn.disabled   = true;
+    el.orderSubmitBtn.disabled  = true;
+    el.multiSubmitBtn.disabled  = true;
+    el.numberAnswerInput.disabled = true;
+    el.numberSlider.disabled      = true;
+    el.numberAnswerBtn.disabled   = true;
+    el.answers.classList.add('order-paused');
   }
   // Show pause banner
   if (!document.getElementById('playerPauseBanner')) {
@@ -296,28 +668,121 @@ socket.on('game:paused', () => {
   }
 });
 
+// ── Host connection lost / restored ───────────────────────────
+socket.on('host:away', () => {
+  if (document.getElementById('playerHostBanner')) return;
+  const banner = document.createElement('div');
+  banner.id = 'playerHostBanner';
+  banner.className = 'paused-banner host-away-banner';
+  banner.innerHTML = '<span class="paused-banner-inner">📡 Host reconnecting · Hang tight · 📡 Host reconnecting · Hang tight · </span>';
+  document.body.prepend(banner);
+});
+
+socket.on('host:back', () => {
+  document.getElementById('playerHostBanner')?.remove();
+});
+
+// Host added time: the ring restarts from the new remaining time (a paused
+// round picks it up on resume)
+socket.on('round:extended', ({ msRemaining, paused }) => {
+  if (paused || hasLocked()) return;
+  stopTimer?.();
+  stopTimer = startTimerRing('playerTimerWrap', msRemaining / 1000);
+});
+
 socket.on('game:resumed', ({ msRemaining }) => {
   document.getElementById('playerPauseBanner')?.remove();
-  if (!lockedOptionId) {
+  resumeQuestionClip(el.qClip);
+  if (!hasLocked()) {
     [...el.answers.children].forEach(btn => btn.disabled = false);
+    el.textAnswerInput.disabled = false;
+    el.textAnswerBtn.disabled   = false;
+    el.orderSubmitBtn.disabled  = false;
+    el.numberAnswerInput.disabled = false;
+    el.numberSlider.disabled      = false;
+    el.numberAnswerBtn.disabled   = false;
+    el.answers.classList.remove('order-paused');
+    updateMultiSubmit();
     stopTimer = startTimerRing('playerTimerWrap', msRemaining / 1000);
   }
 });
 
+// ── Voided question ───────────────────────────────────────────
+// The host took it out of the scoring: no reveal, just the standings
+socket.on('question:voided', ({ leaderboard, teamLeaderboard }) => {
+  stopTimer?.();
+  document.getElementById('playerPauseBanner')?.remove();
+  try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
+  [...el.answers.children].forEach(btn => btn.disabled = true);
+  el.textAnswerForm.classList.add('hidden');
+  el.orderSubmitBtn.classList.add('hidden');
+  el.multiSubmitBtn.classList.add('hidden');
+  el.numberAnswerForm.classList.add('hidden');
+
+  el.feedbackPanel.classList.remove('hidden');
+  if (el.feedbackStreak) el.feedbackStreak.classList.add('hidden');
+  el.feedbackExplanation.classList.add('hidden');
+  el.feedbackIcon.textContent  = '\u2298';
+  el.feedbackIcon.style.color  = 'var(--text-subtle)';
+  el.feedbackLabel.textContent = 'Question voided \u00b7 no points';
+  el.feedbackLabel.style.color = 'var(--text-subtle)';
+  el.feedbackDelta.textContent = '';
+
+  el.teamBoard.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = teamLeaderboard ? buildTeamLeaderboard(teamLeaderboard) : '';
+  el.board.innerHTML = buildRaceLeaderboard(leaderboard, prevLeaderboard, myName);
+  prevLeaderboard = [...leaderboard];
+  const selfEntry = leaderboard.findIndex(p => p.name === myName);
+  if (selfEntry >= 0) myRank = selfEntry + 1;
+  el.screenLeaderboard.classList.remove('hidden');
+});
+
+// ── Media prefetch ────────────────────────────────────────────
+// Load the next question's images (and clip, if phones play them) while the
+// standings are up. Live rooms may hold the timer until most players say it's ready.
+socket.on('question:prefetch', (hint) => {
+  preloadQuestionMedia(hint, hint.clipsOnDevices).then(() => {
+    if (!homework) socket.emit('media:ready', { index: hint.index });
+  });
+});
+
 // ── Question reveal ───────────────────────────────────────────
-socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
+socket.on('question:reveal', ({ type, correctOptionIds, acceptedAnswers, correctOrder, correctValue, range, leaderboard, teamLeaderboard, counts, index, total, explanation, sourceUrl, format }) => {
   stopTimer?.();
+  clearTimeout(hwTimeout);
   document.getElementById('playerPauseBanner')?.remove();
   try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
   try { el.revealAudio.currentTime = 0; el.revealAudio.play(); } catch {}
 
   const correctIds = (correctOptionIds || []).map(String);
   const lockedId   = lockedOptionId ? String(lockedOptionId) : null;
-  const gotCorrect = lockedId && correctIds.includes(lockedId);
-  const answered   = !!lockedId;
+  const picks      = (lockedPicks || []).map(String);
+  const self       = leaderboard.find(p => p.name === myName);
+  // Typed answers and estimates are scored server-side, so trust the leaderboard flag
+  const placed     = type === 'order' && lockedOrder ? (correctOrder || []).filter((id, i) => lockedOrder[i] === id).length : 0;
+  const rightPicks = picks.filter(id => correctIds.includes(id)).length;
+  const gotCorrect = type === 'text' || type === 'number' || multiSelect ? !!self?.lastCorrect
+                   : type === 'order' ? lockedOrder !== null && placed === (correctOrder || []).length
+                   : lockedId && correctIds.includes(lockedId);
+  const unscored   = type === 'poll' || type === 'wordcloud';
+  const answered   = type === 'text' || type === 'wordcloud' ? lockedText !== null
+                   : type === 'order'  ? lockedOrder !== null
+                   : type === 'number' ? lockedNumber !== null
+                   : multiSelect ? lockedPicks !== null
+                   : !!lockedId;
+  // Partial credit (ordering / estimates / multi-select) gets its own amber feedback
+  const partialLabel = type === 'order' && placed > 0
+      ? `${placed} / ${(correctOrder || []).length} in the right place`
+    : type === 'number' && answered && self?.delta > 0
+      ? `Close! Off by ${formatNumberAnswer(Math.abs(lockedNumber - correctValue), range?.unit)}`
+    : multiSelect && rightPicks > picks.length - rightPicks
+      ? `${rightPicks} of ${correctIds.length} right` + (picks.length > rightPicks ? `, ${picks.length - rightPicks} wrong` : '')
+    : null;
 
   // Full-screen flash feedback (immediately visible on mobile without scrolling)
-  if (el.feedbackFlash) {
+  if (el.feedbackFlash && !unscored) {
     el.feedbackFlash.classList.remove('flash-correct', 'flash-wrong', 'flash-timeout');
     // Force reflow so re-adding the class restarts the animation
     void el.feedbackFlash.offsetWidth;
@@ -329,6 +794,15 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
   // Show answers for reveal
   el.answers.classList.remove('hidden');
   el.lockedState.classList.add('hidden');
+  el.textAnswerForm.classList.add('hidden');
+  el.orderSubmitBtn.classList.add('hidden');
+  el.multiSubmitBtn.classList.add('hidden');
+  el.numberAnswerForm.classList.add('hidden');
+  el.answers.classList.remove('order-paused');
+  if (type === 'number') buildNumberRevealCards(correctValue, range?.unit, gotCorrect);
+  if (type === 'text') buildTextRevealCards(acceptedAnswers || [], gotCorrect);
+  if (type === 'order') buildOrderRevealCards(correctOrder || []);
+  if (type === 'wordcloud') buildResultCards(lockedText !== null ? [{ label: lockedText, shape: '\u2601', correct: false, mine: true }] : []);
 
   // Style each button
   const allBtns = [...el.answers.children];
@@ -338,19 +812,23 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
 
   allBtns.forEach((btn, idx) => {
     const optId = String(btn.dataset.id);
-    const isCorrect = correctIds.includes(optId);
-    const isLocked  = optId === lockedId;
+    const fromData  = type === 'text' || type === 'order' || type === 'number' || type === 'wordcloud';
+    const isCorrect = fromData ? btn.dataset.correct === '1' : correctIds.includes(optId);
+    const isLocked  = fromData ? btn.dataset.mine === '1' : multiSelect ? picks.includes(optId) : optId === lockedId;
     btn.disabled = true;
 
-    // Count badge added after flip completes
-    setTimeout(() => {
+    // Count badge added after flip completes (homework reveals have no room-wide counts)
+    if (!fromData && counts) setTimeout(() => {
       const badge = document.createElement('span');
       badge.className = 'answer-count';
       badge.textContent = countMap[optId] ?? 0;
       btn.appendChild(badge);
     }, idx * 75 + 340);
 
-    if (isCorrect) {
+    if (unscored) {
+      // No right answer: just highlight what this player sent
+      flipRevealCard(btn, isLocked ? 'locked' : 'poll-result', idx * 75);
+    } else if (isCorrect) {
       if (answered && isLocked) {
         flipRevealCard(btn, 'player-correct', idx * 75);
         setTimeout(() => triggerParticleBurst(btn), idx * 75 + 340);
@@ -366,7 +844,14 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
   // Feedback panel
   el.feedbackPanel.classList.remove('hidden');
   if (el.feedbackStreak) el.feedbackStreak.classList.add('hidden');
-  if (!answered) {
+  showExplanation(el.feedbackExplanation, { explanation, sourceUrl, format });
+  if (unscored) {
+    el.feedbackIcon.textContent  = answered ? '✓' : '–';
+    el.feedbackIcon.style.color  = 'var(--text-subtle)';
+    el.feedbackLabel.textContent = !answered ? 'No response' : type === 'poll' ? 'Vote counted' : 'Word sent';
+    el.feedbackLabel.style.color = 'var(--text-subtle)';
+    el.feedbackDelta.textContent = '';
+  } else if (!answered) {
     el.feedbackIcon.textContent  = '⏱';
     el.feedbackDelta.textContent = '';
     el.feedbackLabel.textContent = 'Too slow!';
@@ -377,7 +862,6 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
     el.feedbackLabel.textContent = 'Correct!';
     el.feedbackLabel.style.color = 'var(--green)';
     // Delta will be shown when leaderboard arrives (find self)
-    const self = leaderboard.find(p => p.name === myName);
     if (self?.delta > 0) {
       el.feedbackDelta.textContent = `+${self.delta.toLocaleString()}`;
       el.feedbackDelta.style.color = 'var(--green)';
@@ -392,52 +876,142 @@ socket.on('question:reveal', ({ correctOptionIds, leaderboard, counts }) => {
         el.feedbackStreak.classList.add('hidden');
       }
     }
+  } else if (partialLabel) {
+    el.feedbackIcon.textContent  = '\u25d0';
+    el.feedbackIcon.style.color  = 'var(--amber)';
+    el.feedbackLabel.textContent = partialLabel;
+    el.feedbackLabel.style.color = 'var(--amber)';
+    el.feedbackDelta.textContent = self?.delta > 0 ? `+${self.delta.toLocaleString()}` : '';
+    el.feedbackDelta.style.color = 'var(--amber)';
+    if (el.feedbackStreak) el.feedbackStreak.classList.add('hidden');
   } else {
     el.feedbackIcon.textContent  = '\u2717';
     el.feedbackIcon.style.color  = 'var(--red)';
     el.feedbackLabel.textContent = 'Wrong!';
     el.feedbackLabel.style.color = 'var(--red)';
-    el.feedbackDelta.textContent = '';
+    // Negative marking shows the points lost
+    el.feedbackDelta.textContent = self?.delta < 0 ? formatDelta(self.delta) : '';
+    el.feedbackDelta.style.color = 'var(--red)';
     if (el.feedbackStreak) el.feedbackStreak.classList.add('hidden');
   }
 
   // Update leaderboard + rank
+  el.teamBoard.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = teamLeaderboard ? buildTeamLeaderboard(teamLeaderboard) : '';
   el.board.innerHTML = buildRaceLeaderboard(leaderboard, prevLeaderboard, myName);
   prevLeaderboard = [...leaderboard];
   const selfEntry = leaderboard.findIndex(p => p.name === myName);
   if (selfEntry >= 0) myRank = selfEntry + 1;
   el.screenLeaderboard.classList.remove('hidden');
+
+  // Homework: the player moves on when they're ready
+  if (homework) {
+    homework.done = index + 1;
+    el.hwNextBtn.textContent = index + 1 >= total ? 'Finish →' : 'Next Question →';
+    el.hwNextBtn.classList.remove('hidden');
+  }
 });
 
+// Typed-answer reveal: the accepted answer, plus the player's own answer
+// underneath when it didn't match.
+function buildTextRevealCards(acceptedAnswers, gotCorrect) {
+  const cards = [{ label: acceptedAnswers[0] || '', shape: '\u2605', correct: true, mine: gotCorrect }];
+  if (lockedText !== null && !gotCorrect) cards.push({ label: lockedText, shape: '\u270e', correct: false, mine: true });
+  buildResultCards(cards);
+}
+
+// Estimate reveal: the true value, plus the player's own guess when it missed.
+function buildNumberRevealCards(correctValue, unit, gotCorrect) {
+  const cards = [{ label: formatNumberAnswer(correctValue, unit), shape: '\u2605', correct: true, mine: gotCorrect }];
+  if (lockedNumber !== null && !gotCorrect) {
+    cards.push({ label: formatNumberAnswer(lockedNumber, unit), shape: '#', correct: false, mine: true });
+  }
+  buildResultCards(cards);
+}
+
+// Replaces the answer grid with result cards; the reveal loop reads
+// dataset.correct / dataset.mine instead of option IDs.
+function buildResultCards(cards) {
+  el.answers.innerHTML = '';
+  cards.forEach((c, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const btn = document.createElement('button');
+    btn.className = `answer ${s.color}`;
+    btn.dataset.correct = c.correct ? '1' : '';
+    btn.dataset.mine    = c.mine ? '1' : '';
+    btn.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${c.shape}</span>` +
+      `<span class="label">${escHtml(c.label)}</span>` +
+      `<span class="answer-icon"></span>`;
+    el.answers.appendChild(btn);
+  });
+}
+
+// Ordering reveal: the player's own sequence, each item marked in / out of
+// place with its correct position. Players who didn't submit see the answer.
+function buildOrderRevealCards(correctOrder) {
+  const labels = new Map([...el.answers.children].map(item => [item.dataset.id, item.querySelector('.label')?.innerHTML || '']));
+  const sequence = lockedOrder || correctOrder;
+  el.answers.innerHTML = '';
+  sequence.forEach((id, idx) => {
+    const s = ANSWER_STYLES[idx % ANSWER_STYLES.length];
+    const rightPos = correctOrder.indexOf(id);
+    const inPlace  = rightPos === idx;
+    const btn = document.createElement('button');
+    btn.className = `answer ${s.color}`;
+    btn.dataset.correct = inPlace ? '1' : '';
+    btn.dataset.mine    = lockedOrder ? '1' : '';
+    btn.innerHTML =
+      `<span class="answer-fill-bar"></span>` +
+      `<span class="shape">${idx + 1}</span>` +
+      `<span class="label">${labels.get(id) || ''}${inPlace ? '' : ` <span class="order-hint">\u2192 #${rightPos + 1}</span>`}</span>` +
+      `<span class="answer-icon"></span>`;
+    el.answers.appendChild(btn);
+  });
+}
+
 // ── Game over ─────────────────────────────────────────────────
-socket.on('game:over', ({ leaderboard }) => {
+socket.on('game:over', ({ leaderboard, teamLeaderboard }) => {
   stopTimer?.();
   clearSession();
-  el.podiumWrap.innerHTML = buildPodium(leaderboard);
+  el.podiumWrap.innerHTML = teamLeaderboard ? buildTeamPodium(teamLeaderboard) : buildPodium(leaderboard);
   el.finalBoard.innerHTML = buildLeaderboard(leaderboard, myName);
   showOnly(el.screenOver);
   try { el.endAudio.currentTime = 0; el.endAudio.play(); } catch {}
-  // Confetti if in top 3
+  // Confetti if in top 3 (or, in team mode, if your team won)
   const rank = leaderboard.findIndex(p => p.name === myName);
-  if (rank >= 0 && rank < 3) launchConfetti();
+  const teamWon = !!teamLeaderboard && teamLeaderboard[0]?.id === myTeam;
+  if ((rank >= 0 && rank < 3) || teamWon) launchConfetti();
 });
 
 // ── Cancelled ─────────────────────────────────────────────────
 socket.on('game:cancelled', () => {
+  document.getElementById('playerHostBanner')?.remove();
   showOnly(el.screenJoin);
   el.joinMsg.textContent = 'Game was cancelled by the host.';
   el.joinBtn.disabled = false;
 });
 
 // ── Kicked by host ────────────────────────────────────────────
-socket.on('player:kicked', () => {
+socket.on('player:kicked', ({ reason } = {}) => {
   wasKicked = true;
   myName = '';  // clear identity so connect handler won't auto-rejoin
+  clearSession();
+  stopTimer?.();
   showOnly(el.screenJoin);
-  el.joinMsg.textContent = 'You were removed from the game by the host.';
+  el.joinMsg.textContent = reason || 'You were removed from the game by the host.';
   el.joinBtn.disabled = false;
 });
 
+// The host changed our name (e.g. it broke the room's rules)
+socket.on('player:renamed', ({ name }) => {
+  myName = name;
+  saveSession(gameId, myName);
+  el.waitingName.textContent = myName;
+  showToast(`The host renamed you to ${name}`);
+});
+
 // ── Reaction buttons (one per question) ──────────────────────
 el.reactionBar.addEventListener('click', e => {
   const btn = e.target.closest('.reaction-btn');
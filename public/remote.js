@@ -0,0 +1,193 @@
+// public/remote.js
+// Phone remote for the host: game controls plus a private answer view, paired
+// from the host lobby with a QR code. The host screen stays on the projector.
+const socket = createSocket();
+const $  = id => document.getElementById(id);
+
+// ── Element refs ─────────────────────────────────────────────
+const el = {
+  screenUnpaired: $('screenUnpaired'),
+  screenRemote:   $('screenRemote'),
+  unpairedMsg:    $('unpairedMsg'),
+
+  remoteTitle:    $('remoteTitle'),
+  remoteStatus:   $('remoteStatus'),
+  startBtn:       $('startBtn'),
+  pauseBtn:       $('pauseBtn'),
+  nextBtn:        $('nextBtn'),
+  skipBtn:        $('skipBtn'),
+
+  answerCard:     $('answerCard'),
+  answeredText:   $('answeredText'),
+  questionText:   $('questionText'),
+  answerText:     $('answerText'),
+
+  playerCount:    $('playerCount'),
+  players:        $('players'),
+};
+
+// ── State ─────────────────────────────────────────────────────
+// Pairing details ride in the URL fragment (never sent with page requests),
+// then move to sessionStorage so a reload stays paired
+const REMOTE_SESSION_KEY = 'questron-remote';
+let pairing = new URLSearchParams(location.hash.slice(1));
+if (pairing.get('token')) {
+  try { sessionStorage.setItem(REMOTE_SESSION_KEY, pairing.toString()); } catch {}
+  history.replaceState(null, '', location.pathname);
+} else {
+  try { pairing = new URLSearchParams(sessionStorage.getItem(REMOTE_SESSION_KEY) || ''); } catch {}
+}
+const gameId = pairing.get('game');
+const token  = pairing.get('token');
+
+let connected = false;   // reached the room at least once
+let phase     = 'lobby'; // 'lobby' | 'question' | 'reveal' | 'over'
+let paused    = false;
+let players   = [];
+let question  = null;    // latest question:show payload
+let index     = -1;
+let total     = 0;
+
+function showOnly(screenEl) {
+  [el.screenUnpaired, el.screenRemote].forEach(s => s.classList.add('hidden'));
+  screenEl.classList.remove('hidden');
+}
+
+function unpaired(message) {
+  socket.close();
+  try { sessionStorage.removeItem(REMOTE_SESSION_KEY); } catch {}
+  el.unpairedMsg.textContent = message;
+  showOnly(el.screenUnpaired);
+}
+
+// ── Rendering ─────────────────────────────────────────────────
+function renderControls() {
+  const status = phase === 'lobby'    ? `Lobby · ${players.length} joined`
+               : phase === 'question' ? `Question ${index + 1} of ${total}${paused ? ' · paused' : ''}`
+               : phase === 'reveal'   ? `Answer shown · question ${index + 1} of ${total}`
+               : 'Game over';
+  el.remoteStatus.textContent = status;
+  el.startBtn.classList.toggle('hidden', phase !== 'lobby');
+  el.startBtn.disabled = players.length === 0;
+  el.pauseBtn.classList.toggle('hidden', phase !== 'question');
+  el.pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  el.skipBtn.classList.toggle('hidden', phase !== 'question');
+  el.nextBtn.classList.toggle('hidden', phase !== 'reveal');
+  el.nextBtn.textContent = index + 1 >= total ? 'Finish →' : 'Next →';
+  el.answerCard.classList.toggle('hidden', phase !== 'question' && phase !== 'reveal');
+}
+
+function renderPlayers() {
+  el.playerCount.textContent = `${players.length} joined`;
+  if (players.length === 0) {
+    el.players.innerHTML = '<span class="muted">Waiting for players…</span>';
+    return;
+  }
+  el.players.innerHTML = players.map(name => `
+    <div class="player-chip">
+      <span class="player-chip-dot" style="background:${playerColor(name)}"></span>${escHtml(name)}
+      ${phase !== 'over' ? `<button class="player-kick-btn" data-kick="${escHtml(name)}" title="Remove ${escHtml(name)}">✕</button>` : ''}
+    </div>`).join('');
+}
+
+// The correct answer in words, from the private answer key
+function describeAnswer(key) {
+  const label = id => question?.options.find(o => o.id === id)?.label ?? '?';
+  if (key.type === 'poll' || key.type === 'wordcloud') return 'No right answer — opinions only';
+  if (key.type === 'text')   return key.acceptedAnswers.join(' / ');
+  if (key.type === 'number') return formatNumberAnswer(key.correctValue, key.range?.unit);
+  if (key.type === 'order')  return key.correctOrder.map((id, i) => `${i + 1}. ${label(id)}`).join('\n');
+  return key.correctOptionIds.map(label).join('\n');
+}
+
+// ── Controls ──────────────────────────────────────────────────
+function command(action, extra = {}) {
+  socket.emit('remote:command', { gameId, action, ...extra });
+  try { navigator.vibrate?.(15); } catch {}
+}
+
+el.startBtn.addEventListener('click', () => command('start'));
+el.pauseBtn.addEventListener('click', () => command(paused ? 'resume' : 'pause'));
+el.nextBtn.addEventListener('click', () => { el.nextBtn.disabled = true; command('next'); });
+el.skipBtn.addEventListener('click', () => command('skip'));
+el.players.addEventListener('click', e => {
+  const btn = e.target.closest('[data-kick]');
+  if (btn) command('kick', { playerName: btn.dataset.kick });
+});
+
+// ── Socket events ─────────────────────────────────────────────
+socket.on('connect', () => {
+  connected = true;
+  showOnly(el.screenRemote);
+  socket.emit('remote:sync', { gameId }, (res) => {
+    if (!res?.ok) return;
+    el.remoteTitle.textContent = res.title || 'Quiz';
+    index = res.index;
+    total = res.total;
+    phase = res.phase;
+    renderControls();
+  });
+});
+
+socket.on('connect_error', () => {
+  if (!connected) unpaired('Couldn’t pair with that game — it may have ended, or the code is from an old room.');
+});
+
+socket.on('lobby:update', ({ players: list, gameId: gid }) => {
+  if (gid !== gameId) return;
+  players = list;
+  renderPlayers();
+  renderControls();
+});
+
+socket.on('question:show', (q) => {
+  question = q;
+  index    = q.index;
+  total    = q.total;
+  phase    = 'question';
+  paused   = false;
+  el.nextBtn.disabled = false;
+  el.questionText.innerHTML = richText(q.text, q.format);
+  el.answerText.textContent   = '';
+  el.answeredText.textContent = '';
+  renderPlayers();
+  renderControls();
+});
+
+socket.on('remote:answer', (key) => {
+  el.answerText.textContent = describeAnswer(key);
+});
+
+socket.on('round:progress', ({ answeredCount, totalCount }) => {
+  el.answeredText.textContent = `${answeredCount} / ${totalCount} answered`;
+});
+
+socket.on('game:paused',  () => { paused = true;  renderControls(); });
+socket.on('game:resumed', () => { paused = false; renderControls(); });
+
+socket.on('question:reveal', ({ answeredCount, percentCorrect }) => {
+  phase  = 'reveal';
+  paused = false;
+  el.answeredText.textContent = `${answeredCount} answered${percentCorrect !== null ? ` · ${percentCorrect}% right` : ''}`;
+  renderControls();
+});
+
+socket.on('host:away', () => { el.remoteStatus.textContent = 'Host screen disconnected — waiting for it'; });
+socket.on('host:back', renderControls);
+
+socket.on('game:over', () => {
+  phase = 'over';
+  renderControls();
+  socket.close();
+});
+
+socket.on('game:cancelled', ({ reason }) => {
+  unpaired(reason || 'The game was cancelled.');
+});
+
+// ── Start ─────────────────────────────────────────────────────
+if (gameId && token) {
+  socket.connect(`${GAME_SERVER_WS}/room/${encodeURIComponent(gameId)}?role=controller&token=${encodeURIComponent(token)}`);
+} else {
+  showOnly(el.screenUnpaired);
+}
@@ -0,0 +1,59 @@
+// richtext.js — the formatting a quiz can opt into with "textFormat": "markdown".
+// Shared by the host, player and spectator screens and the builder preview so a
+// question looks the same everywhere. Plain text (the default) is only escaped.
+//
+//   **bold**   *italic* or _italic_   `code`   ```code block```   new lines
+//   $math$     x^2  x^{10}  H_2O  CO_{2}  \times \le \rightarrow \pi \sqrt{x} …
+//   \* \_ \` \$ \\ print the character itself
+//
+// Everything the author wrote is HTML-escaped before any of our own tags go in,
+// so a quiz can't inject markup.
+
+const MATH_SYMBOLS = {
+  times: '×', div: '÷', pm: '±', mp: '∓', cdot: '·', deg: '°', circ: '°',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', propto: '∝',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', rightleftharpoons: '⇌',
+  infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', int: '∫', in: '∈', cup: '∪', cap: '∩',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ', lambda: 'λ', mu: 'μ',
+  pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Omega: 'Ω',
+};
+
+function escRich(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatMath(src) {
+  const html = escRich(src)
+    .replace(/\\sqrt\{([^{}]*)\}/g, '√<span class="rt-sqrt">$1</span>')
+    .replace(/\\([a-zA-Z]+)/g, (m, name) => Object.hasOwn(MATH_SYMBOLS, name) ? MATH_SYMBOLS[name] : m)
+    .replace(/([\^_])(?:\{([^{}]*)\}|([A-Za-z0-9+\-]))/g, (m, op, group, single) => {
+      const tag = op === '^' ? 'sup' : 'sub';
+      return `<${tag}>${group ?? single}</${tag}>`;
+    });
+  return `<span class="rt-math">${html}</span>`;
+}
+
+// HTML for `text`. `inline` is for option labels: no code blocks, new lines become spaces.
+function richText(text, format, inline = false) {
+  if (format !== 'markdown') return escRich(text ?? '');
+  // Code, math and escaped characters are set aside first so nothing inside them
+  // is read as emphasis, then put back once the rest is done
+  const slots = [];
+  const keep  = html => `\u0000${slots.push(html) - 1}\u0000`;
+  let src = String(text ?? '').replace(/\u0000/g, '');
+  src = src.replace(/\\([\\`*_$])/g, (m, ch) => keep(escRich(ch)));
+  if (!inline) {
+    src = src.replace(/\n?```[^\n`]*\n?([\s\S]*?)```\n?/g, (m, code) =>
+      keep(`<pre class="rt-code"><code>${escRich(code.replace(/\n$/, ''))}</code></pre>`));
+  }
+  src = src.replace(/`([^`\n]+)`/g, (m, code) => keep(`<code>${escRich(code)}</code>`));
+  src = src.replace(/\$([^$\n]+)\$/g, (m, math) => keep(formatMath(math)));
+
+  const html = escRich(src)
+    .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\n/g, inline ? ' ' : '<br>');
+  return html.replace(/\u0000(\d+)\u0000/g, (m, i) => slots[i]);
+}
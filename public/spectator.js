@@ -0,0 +1,300 @@
+// public/spectator.js
+// Read-only big-screen view for a projector: mirrors the host's screens while
+// the host drives the game from another device. Spectators can't answer and
+// don't appear in the lobby.
+const socket = createSocket();
+const $  = id => document.getElementById(id);
+
+// ── Sound toggle ─────────────────────────────────────────────
+const sound = initSoundToggle();
+
+// ── Element refs ─────────────────────────────────────────────
+const el = {
+  screenConnect:     $('screenConnect'),
+  screenLobby:       $('screenLobby'),
+  screenPlay:        $('screenPlay'),
+  screenLeaderboard: $('screenLeaderboard'),
+  screenOver:        $('screenOver'),
+  screenCancelled:   $('screenCancelled'),
+
+  codeInput:       $('codeInput'),
+  watchBtn:        $('watchBtn'),
+  connectMsg:      $('connectMsg'),
+
+  lobbyTitle:      $('lobbyTitle'),
+  gameId:          $('gameId'),
+  joinUrl:         $('joinUrl'),
+  qrCanvas:        $('qrCanvas'),
+  playerCount:     $('playerCount'),
+  lobbyPlayers:    $('lobbyPlayers'),
+  lobbyEmpty:      $('lobbyEmpty'),
+
+  qIndex:          $('qIndex'),
+  qTotal:          $('qTotal'),
+  qText:           $('qText'),
+  multiHint:       $('multiHint'),
+  qImage:          $('qImage'),
+  qClip:           $('qClip'),
+  progressBar:     $('progressBar'),
+  answeredFill:    $('answeredFill'),
+  answeredText:    $('answeredText'),
+  answers:         $('answers'),
+  barChart:        $('barChart'),
+  revealExplanation: $('revealExplanation'),
+  music:           $('music'),
+  reveal:          $('reveal'),
+
+  board:           $('board'),
+  teamBoard:       $('teamBoard'),
+  podiumWrap:      $('podiumWrap'),
+  finalBoard:      $('finalBoard'),
+  cancelReason:    $('cancelReason'),
+  end:             $('end'),
+};
+
+// ── State ─────────────────────────────────────────────────────
+// How long the answer reveal stays up before the standings take over
+const REVEAL_HOLD_MS = 8000;
+
+const params = new URLSearchParams(location.search);
+let gameId          = (params.get('game') || '').toUpperCase();
+let connected       = false;   // reached the room at least once
+let stopTimer       = null;
+let currentQType    = 'choice';
+let revealTimer     = null;
+let prevLeaderboard = [];
+
+// ── Screen management ─────────────────────────────────────────
+function showOnly(screenEl) {
+  [el.screenConnect, el.screenLobby, el.screenPlay,
+   el.screenLeaderboard, el.screenOver, el.screenCancelled]
+    .forEach(s => s.classList.add('hidden'));
+  screenEl.classList.remove('hidden');
+}
+
+function setBanner(id, text) {
+  document.getElementById(id)?.remove();
+  if (!text) return;
+  const banner = document.createElement('div');
+  banner.id = id;
+  banner.className = 'paused-banner' + (id === 'hostBanner' ? ' host-away-banner' : '');
+  banner.innerHTML = `<span class="paused-banner-inner">${text} · ${text} · </span>`;
+  document.body.prepend(banner);
+}
+
+// ── Connect ───────────────────────────────────────────────────
+function watch(code) {
+  gameId    = code;
+  connected = false;
+  el.connectMsg.textContent = '';
+  socket.connect(`${GAME_SERVER_WS}/room/${encodeURIComponent(gameId)}?role=spectator`);
+}
+
+el.codeInput.addEventListener('input', () => { el.connectMsg.textContent = ''; });
+el.codeInput.addEventListener('keydown', e => { if (e.key === 'Enter') el.watchBtn.click(); });
+el.watchBtn.addEventListener('click', () => {
+  const code = el.codeInput.value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  if (!code) {
+    el.connectMsg.textContent = 'Please enter a room code.';
+    return;
+  }
+  watch(code);
+});
+
+// Every (re)connect asks where the game is; question and game-over screens
+// are rebuilt by the events that follow the ack.
+socket.on('connect', () => {
+  connected = true;
+  socket.emit('spectator:sync', { gameId }, (res) => {
+    if (!res?.ok) return;
+    el.lobbyTitle.textContent = res.title || 'Quiz';
+    if (res.phase === 'lobby') {
+      buildJoinInfo(gameId, el.gameId, el.joinUrl, el.qrCanvas);
+      showOnly(el.screenLobby);
+    } else if (res.phase === 'reveal') {
+      renderStandings(res.leaderboard, res.teamLeaderboard);
+      showOnly(el.screenLeaderboard);
+    }
+  });
+});
+
+// The room doesn't exist (or isn't a live game) — back to the code entry
+socket.on('connect_error', () => {
+  if (connected) return;
+  socket.close();
+  el.codeInput.value = gameId;
+  el.connectMsg.textContent = 'Can’t watch that room — check the code.';
+  showOnly(el.screenConnect);
+});
+
+// ── Lobby ─────────────────────────────────────────────────────
+socket.on('lobby:update', ({ players, teams, gameId: gid }) => {
+  if (gid !== gameId) return;
+  el.playerCount.textContent = `${players.length} joined`;
+  el.lobbyPlayers.innerHTML = '';
+  if (players.length === 0) {
+    el.lobbyPlayers.appendChild(el.lobbyEmpty);
+    return;
+  }
+  if (teams) {
+    const grid = document.createElement('div');
+    grid.className = 'lobby-teams';
+    teams.forEach(t => {
+      const col = document.createElement('div');
+      col.className = 'lobby-team';
+      col.style.setProperty('--team-color', teamColor(t.id));
+      col.innerHTML = `<div class="lobby-team-head">Team ${escHtml(t.name)} <span>${t.players.length}</span></div>`;
+      t.players.forEach(name => col.appendChild(buildChip(name)));
+      grid.appendChild(col);
+    });
+    el.lobbyPlayers.appendChild(grid);
+    return;
+  }
+  players.forEach(name => el.lobbyPlayers.appendChild(buildChip(name)));
+});
+
+function buildChip(name) {
+  const chip = document.createElement('div');
+  chip.className = 'player-chip';
+  chip.innerHTML = `<span class="player-chip-dot" style="background:${playerColor(name)}"></span>${escHtml(name)}`;
+  return chip;
+}
+
+socket.on('game:started', () => {
+  showOnly(el.screenPlay);
+});
+
+// ── Question display ──────────────────────────────────────────
+socket.on('question:show', (q) => {
+  stopTimer?.();
+  clearTimeout(revealTimer);
+  setBanner('pausedBanner', null);
+  showOnly(el.screenPlay);
+
+  el.progressBar.style.width = ((q.index / q.total) * 100) + '%';
+  el.qIndex.textContent = q.index + 1;
+  el.qTotal.textContent = q.total;
+  el.qText.innerHTML    = richText(q.text, q.format);
+  el.multiHint.classList.toggle('hidden', !q.multiSelect);
+  const imageSrc = questionImageSrc(q);
+  if (imageSrc) {
+    el.qImage.src = imageSrc;
+    el.qImage.classList.remove('hidden');
+    el.qImage.onerror = () => el.qImage.classList.add('hidden');
+  } else {
+    el.qImage.classList.add('hidden');
+  }
+  // Videos play muted here, in step with the host's; the sound comes from the host
+  mountQuestionClip(el.qClip, { ...q, audioPath: null }, { muted: true });
+
+  buildStageAnswers(el.answers, q);
+  el.barChart.classList.add('hidden');
+  el.revealExplanation.classList.add('hidden');
+  currentQType = q.type;
+  el.answeredFill.style.width = '0%';
+  el.answeredText.textContent = '0 answered';
+
+  stopTimer = startTimerRing('spectatorTimerWrap', q.timeLimitSeconds);
+  if (!q.audioPath && !q.videoPath) {
+    try { el.music.currentTime = 0; el.music.play(); } catch {}
+  }
+});
+
+socket.on('round:progress', ({ answeredCount, totalCount, counts, words }) => {
+  el.answeredFill.style.width = (totalCount > 0 ? (answeredCount / totalCount) * 100 : 0) + '%';
+  el.answeredText.textContent = `${answeredCount} / ${totalCount} answered`;
+  updateStageProgress(el.answers, currentQType, answeredCount, totalCount, counts, words);
+});
+
+// ── Answer reveal, then standings ─────────────────────────────
+socket.on('question:reveal', (r) => {
+  stopTimer?.();
+  setBanner('pausedBanner', null);
+  try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
+  try { el.reveal.currentTime = 0; el.reveal.play(); } catch {}
+
+  revealStage(el.answers, el.barChart, r);
+  showExplanation(el.revealExplanation, r);
+  renderStandings(r.leaderboard, r.teamLeaderboard);
+  clearTimeout(revealTimer);
+  revealTimer = setTimeout(() => showOnly(el.screenLeaderboard), REVEAL_HOLD_MS);
+});
+
+function renderStandings(leaderboard, teamLeaderboard) {
+  el.teamBoard.classList.toggle('hidden', !teamLeaderboard);
+  el.teamBoard.innerHTML = teamLeaderboard ? buildTeamLeaderboard(teamLeaderboard) : '';
+  el.board.innerHTML = buildRaceLeaderboard(leaderboard, prevLeaderboard);
+  prevLeaderboard = [...leaderboard];
+}
+
+// ── Pause / host connection ───────────────────────────────────
+socket.on('game:paused', () => {
+  stopTimer?.();
+  pauseQuestionClip(el.qClip);
+  setBanner('pausedBanner', '⏸ Game Paused · Timers stopped');
+});
+
+socket.on('game:resumed', ({ msRemaining }) => {
+  setBanner('pausedBanner', null);
+  resumeQuestionClip(el.qClip);
+  stopTimer = startTimerRing('spectatorTimerWrap', msRemaining / 1000);
+});
+
+// ── Media prefetch ────────────────────────────────────────────
+socket.on('question:prefetch', hint => preloadQuestionMedia({ ...hint, audioPath: null }));
+
+// ── Host round controls ───────────────────────────────────────
+socket.on('round:extended', ({ msRemaining, paused }) => {
+  if (paused) return;
+  stopTimer?.();
+  stopTimer = startTimerRing('spectatorTimerWrap', msRemaining / 1000);
+});
+
+socket.on('question:voided', ({ leaderboard, teamLeaderboard }) => {
+  stopTimer?.();
+  setBanner('pausedBanner', null);
+  try { el.music.pause(); } catch {}
+  pauseQuestionClip(el.qClip);
+  renderStandings(leaderboard, teamLeaderboard);
+  clearTimeout(revealTimer);
+  showOnly(el.screenLeaderboard);
+});
+
+socket.on('host:away', () => setBanner('hostBanner', '📡 Host reconnecting · Hang tight'));
+socket.on('host:back', () => setBanner('hostBanner', null));
+
+// ── Emoji reactions ───────────────────────────────────────────
+socket.on('reaction:received', ({ name, emoji }) => {
+  showFloatingReaction(emoji, name);
+});
+
+// ── Game over ─────────────────────────────────────────────────
+// The room is cleaned up shortly after either of these, so stop reconnecting
+socket.on('game:over', ({ leaderboard, teamLeaderboard }) => {
+  socket.close();
+  stopTimer?.();
+  clearTimeout(revealTimer);
+  el.podiumWrap.innerHTML = teamLeaderboard ? buildTeamPodium(teamLeaderboard) : buildPodium(leaderboard);
+  el.finalBoard.innerHTML = buildLeaderboard(leaderboard);
+  showOnly(el.screenOver);
+  try { el.end.currentTime = 0; el.end.play(); } catch {}
+  launchConfetti();
+});
+
+socket.on('game:cancelled', ({ reason }) => {
+  socket.close();
+  stopTimer?.();
+  clearTimeout(revealTimer);
+  setBanner('pausedBanner', null);
+  setBanner('hostBanner', null);
+  el.cancelReason.textContent = reason || 'Game ended.';
+  showOnly(el.screenCancelled);
+});
+
+// ── Start ─────────────────────────────────────────────────────
+if (gameId) {
+  watch(gameId);
+} else {
+  showOnly(el.screenConnect);
+}
@@ -12,26 +12,85 @@
  *     images/          ← optional
  *       q1.jpg
  *       q2.png
+ *     clips/           ← optional: audio / video played with a question
+ *       intro.mp3
+ *       replay.mp4
  *
  * QUIZ.JSON FORMAT:
  *   {
  *     "title": "My Quiz",
  *     "defaultTimeLimitSeconds": 20,
  *     "shuffleQuestions": true,
+ *     "clipsOnDevices": false,           ← optional: players' phones play clips too
+ *     "textFormat": "markdown",          ← optional: **bold**, *italic*, `code`, ```blocks```, $H_2O$ in
+ *                                          question and option text (default "plain")
+ *     "scoring": {                       ← optional, also allowed on any question
+ *       "multiplier": 2,                 ← 0–3, 0 = no points (default 1)
+ *       "speedBonus": false,             ← flat 1000 instead of 500–1000 by speed
+ *       "streakCap": 2,                  ← max streak multiplier 1–3 (default 1.5)
+ *       "wrongPenalty": 250              ← 0–1000 points lost for a wrong answer
+ *     },
  *     "questions": [
  *       {
  *         "id": "q1",
  *         "text": "What is 2 + 2?",
  *         "imageRef": "q1.jpg",          ← optional: filename from images/ folder
  *         "imageUrl": "https://...",     ← optional: external URL (alternative to imageRef)
+ *         "audioRef": "intro.mp3",       ← optional: filename from clips/ (MP3, M4A, Ogg, WAV, WebM)
+ *         "videoRef": "replay.mp4",      ← optional: instead of audioRef (MP4, WebM)
  *         "timeLimitSeconds": 15,
  *         "options": [
  *           { "id": "a", "label": "3" },
- *           { "id": "b", "label": "4" },
+ *           { "id": "b", "label": "4",
+ *             "imageRef": "four.png" },  ← optional on choice / poll options: a picture from images/
  *           { "id": "c", "label": "5" },
  *           { "id": "d", "label": "6" }
  *         ],
- *         "correctOptionIds": ["b"]
+ *         "correctOptionIds": ["b"],
+ *         "multiSelect": false,          ← optional: true = players pick every correct option
+ *         "explanation": "2 + 2 = 4.",   ← optional: shown after the reveal (any question type)
+ *         "sourceUrl": "https://..."     ← optional: linked under the explanation
+ *       },
+ *       {
+ *         "id": "q2",
+ *         "type": "text",                ← typed answer instead of options
+ *         "text": "Capital of France?",
+ *         "acceptedAnswers": ["Paris"],  ← matched ignoring case, accents and small typos
+ *         "maxTypos": 1                  ← optional: 0–3, omit to scale with answer length
+ *       },
+ *       {
+ *         "id": "q3",
+ *         "type": "order",               ← players drag options into sequence
+ *         "text": "Oldest to newest?",
+ *         "options": [                   ← 2–6 items, listed in the CORRECT order
+ *           { "id": "a", "label": "Pyramids" },
+ *           { "id": "b", "label": "Colosseum" },
+ *           { "id": "c", "label": "Eiffel Tower" }
+ *         ]
+ *       },
+ *       {
+ *         "id": "q4",
+ *         "type": "number",              ← estimate on a slider, scored by closeness
+ *         "text": "Year of the Moon landing?",
+ *         "correctValue": 1969,
+ *         "min": 1900,                   ← slider range (correctValue must be inside it)
+ *         "max": 2000,
+ *         "step": 1,                     ← optional, defaults to 1
+ *         "unit": ""                     ← optional label shown after the number
+ *       },
+ *       {
+ *         "id": "q5",
+ *         "type": "poll",                ← unscored vote: options, no correctOptionIds
+ *         "text": "How confident are you?",
+ *         "options": [
+ *           { "id": "a", "label": "Very" },
+ *           { "id": "b", "label": "Not yet" }
+ *         ]
+ *       },
+ *       {
+ *         "id": "q6",
+ *         "type": "wordcloud",           ← unscored: players send a word, host shows a cloud
+ *         "text": "One word for today?"
  *       }
  *     ]
  *   }
@@ -61,7 +120,8 @@ try {
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-const MAX_IMAGE_BYTES = 700 * 1024; // 700 KB binary → ~933 KB base64; fits in CF 1 MB WS message
+const MAX_IMAGE_BYTES = 1536 * 1024;     // the most a game room stores per image
+const MAX_CLIP_BYTES  = 8 * 1024 * 1024; // ...and per audio / video clip
 
 /** Detect image MIME type from magic bytes. Returns null for unsupported types (including SVG). */
 function detectMime(buf) {
@@ -74,12 +134,40 @@ function detectMime(buf) {
   return null;
 }
 
+/** Detect an audio / video clip's MIME type from magic bytes. Returns null for anything else. */
+function detectClipMime(kind, buf) {
+  const b = buf instanceof Buffer ? buf : Buffer.from(buf);
+  const ascii = (from, to) => b.toString('latin1', from, to);
+  if (ascii(4, 8) === 'ftyp')                                                      return `${kind}/mp4`;
+  if (b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3)           return `${kind}/webm`;
+  if (kind === 'video')                                                            return null;
+  if (ascii(0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0))         return 'audio/mpeg';
+  if (ascii(0, 4) === 'OggS')                                                      return 'audio/ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE')                           return 'audio/wav';
+  return null;
+}
+
 /** Sanitize a filename: only alphanumeric, dots, hyphens, underscores. */
 function sanitizeFilename(name) {
   return name.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 100);
 }
 
 /** Validate quiz.json structure. Returns array of error strings (empty = valid). */
+function validateScoring(s, where, errors) {
+  if (s === undefined || s === null) return;
+  if (typeof s !== 'object') { errors.push(`${where}: "scoring" must be an object`); return; }
+  const check = (key, min, max) => {
+    const v = s[key];
+    if (v !== undefined && !(typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max))
+      errors.push(`${where}: "scoring.${key}" must be a number from ${min} to ${max}`);
+  };
+  check('multiplier', 0, 3);
+  check('streakCap', 1, 3);
+  check('wrongPenalty', 0, 1000);
+  if (s.speedBonus !== undefined && typeof s.speedBonus !== 'boolean')
+    errors.push(`${where}: "scoring.speedBonus" must be true or false`);
+}
+
 function validateQuizJson(data) {
   const errors = [];
   if (!data || typeof data !== 'object')           { errors.push('quiz.json must be a JSON object'); return errors; }
@@ -88,20 +176,67 @@ function validateQuizJson(data) {
   if (data.questions.length === 0)                 errors.push('"questions" array is empty');
   if (data.questions.length > 50)                  errors.push(`Too many questions (${data.questions.length}, max 50)`);
 
+  validateScoring(data.scoring, 'Quiz', errors);
+
   const safeFilename = /^[\w.\-]{1,100}$/;
   data.questions.forEach((q, i) => {
     const n = i + 1;
+    validateScoring(q.scoring, `Question ${n}`, errors);
     if (!q.id)   errors.push(`Question ${n}: missing "id"`);
     if (!q.text) errors.push(`Question ${n}: missing "text"`);
-    if (!Array.isArray(q.options) || q.options.length < 2)
-      errors.push(`Question ${n}: needs at least 2 options`);
-    if (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0)
-      errors.push(`Question ${n}: missing "correctOptionIds"`);
+    if (q.type !== undefined && !['choice', 'text', 'order', 'number', 'poll', 'wordcloud'].includes(q.type))
+      errors.push(`Question ${n}: unknown type "${q.type}"`);
+    if (q.type === 'text') {
+      if (!Array.isArray(q.acceptedAnswers) || !q.acceptedAnswers.some(a => typeof a === 'string' && a.trim()))
+        errors.push(`Question ${n}: text questions need at least one "acceptedAnswers" entry`);
+      if (q.maxTypos !== undefined && (!Number.isInteger(q.maxTypos) || q.maxTypos < 0 || q.maxTypos > 3))
+        errors.push(`Question ${n}: "maxTypos" must be an integer from 0 to 3`);
+    } else if (q.type === 'order') {
+      if (!Array.isArray(q.options) || q.options.length < 2 || q.options.length > 6)
+        errors.push(`Question ${n}: ordering questions need 2–6 options`);
+      else if (new Set(q.options.map(o => o.id)).size !== q.options.length)
+        errors.push(`Question ${n}: option ids must be unique`);
+    } else if (q.type === 'number') {
+      const nums = [q.correctValue, q.min, q.max];
+      if (!nums.every(v => typeof v === 'number' && Number.isFinite(v)))
+        errors.push(`Question ${n}: number questions need numeric "correctValue", "min" and "max"`);
+      else if (q.min >= q.max || q.correctValue < q.min || q.correctValue > q.max)
+        errors.push(`Question ${n}: "correctValue" must lie within "min" < "max"`);
+      if (q.step !== undefined && !(typeof q.step === 'number' && q.step > 0))
+        errors.push(`Question ${n}: "step" must be a positive number`);
+    } else if (q.type !== 'wordcloud') {
+      if (!Array.isArray(q.options) || q.options.length < 2)
+        errors.push(`Question ${n}: needs at least 2 options`);
+      if (q.type !== 'poll' && (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0))
+        errors.push(`Question ${n}: missing "correctOptionIds"`);
+      if (q.multiSelect !== undefined && typeof q.multiSelect !== 'boolean')
+        errors.push(`Question ${n}: "multiSelect" must be true or false`);
+      else if (q.multiSelect && q.type === 'poll')
+        errors.push(`Question ${n}: polls can't be multi-select`);
+    }
     if (q.imageRef && !safeFilename.test(q.imageRef))
       errors.push(`Question ${n}: imageRef "${q.imageRef}" contains invalid characters`);
     if (q.imageRef && q.imageUrl)
       errors.push(`Question ${n}: use either imageRef or imageUrl, not both`);
+    for (const field of ['audioRef', 'videoRef']) {
+      if (q[field] && !safeFilename.test(q[field]))
+        errors.push(`Question ${n}: ${field} "${q[field]}" contains invalid characters`);
+    }
+    if (q.audioRef && q.videoRef)
+      errors.push(`Question ${n}: use either audioRef or videoRef, not both`);
+    if (Array.isArray(q.options)) q.options.forEach((o, j) => {
+      if (o?.imageRef && !safeFilename.test(o.imageRef))
+        errors.push(`Question ${n} option ${j + 1}: imageRef "${o.imageRef}" contains invalid characters`);
+    });
+    if (q.explanation !== undefined && (typeof q.explanation !== 'string' || q.explanation.length > 1000))
+      errors.push(`Question ${n}: "explanation" must be text of at most 1000 characters`);
+    if (q.sourceUrl !== undefined && (typeof q.sourceUrl !== 'string' || q.sourceUrl.length > 500 || !/^https?:\/\/\S+$/i.test(q.sourceUrl)))
+      errors.push(`Question ${n}: "sourceUrl" must be an http(s) link`);
   });
+  if (data.clipsOnDevices !== undefined && typeof data.clipsOnDevices !== 'boolean')
+    errors.push('"clipsOnDevices" must be true or false');
+  if (data.textFormat !== undefined && !['plain', 'markdown'].includes(data.textFormat))
+    errors.push('"textFormat" must be "plain" or "markdown"');
   return errors;
 }
 
@@ -162,7 +297,7 @@ async function main() {
 
   // Gather imageRefs referenced from quiz.json
   const referencedRefs = new Set(
-    quizData.questions.map(q => q.imageRef).filter(Boolean)
+    quizData.questions.flatMap(q => [q.imageRef, ...(q.options || []).map(o => o?.imageRef)]).filter(Boolean)
   );
 
   if (referencedRefs.size > 0) {
@@ -207,6 +342,57 @@ async function main() {
     }
   }
 
+  // ── Collect clips ──────────────────────────────────────────────────────────
+
+  const clipsDir  = path.join(folderPath, 'clips');
+  const clipFiles = new Map(); // filename → Buffer
+
+  // Audio or video, by the field that refers to it
+  const clipRefs = new Map();
+  for (const q of quizData.questions) {
+    if (q.audioRef) clipRefs.set(q.audioRef, 'audio');
+    if (q.videoRef) clipRefs.set(q.videoRef, 'video');
+  }
+
+  if (clipRefs.size > 0) {
+    if (!fs.existsSync(clipsDir)) {
+      console.error(`ERROR: quiz.json references clips but no clips/ folder found in ${folderPath}`);
+      process.exit(1);
+    }
+
+    let skipped = 0;
+    for (const [ref, kind] of clipRefs) {
+      const clipPath = path.join(clipsDir, ref);
+
+      if (!fs.existsSync(clipPath)) {
+        console.error(`ERROR: Clip "${ref}" referenced in quiz.json not found at ${clipPath}`);
+        process.exit(1);
+      }
+
+      const buf = fs.readFileSync(clipPath);
+
+      if (buf.length > MAX_CLIP_BYTES) {
+        console.warn(`  ⚠ SKIP "${ref}" — too large (${(buf.length/1024/1024).toFixed(1)} MB, max ${MAX_CLIP_BYTES/1024/1024} MB)`);
+        skipped++;
+        continue;
+      }
+
+      const mime = detectClipMime(kind, buf);
+      if (!mime) {
+        console.warn(`  ⚠ SKIP "${ref}" — unsupported ${kind} format (use ${kind === 'audio' ? 'MP3, M4A, Ogg, WAV or WebM' : 'MP4 or WebM'})`);
+        skipped++;
+        continue;
+      }
+
+      clipFiles.set(ref, buf);
+      console.log(`  ✓ Clip: ${ref} (${Math.round(buf.length / 1024)} KB, ${mime})`);
+    }
+
+    if (skipped > 0) {
+      console.warn(`  ${skipped} clip(s) skipped — questions referencing them will play nothing.`);
+    }
+  }
+
   // ── Build ZIP ──────────────────────────────────────────────────────────────
 
   const zip = new JSZip();
@@ -227,6 +413,13 @@ async function main() {
     }
   }
 
+  if (clipFiles.size > 0) {
+    const clipFolder = zip.folder('clips');
+    for (const [name, buf] of clipFiles) {
+      clipFolder.file(name, buf);
+    }
+  }
+
   const outputBuf = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
 
   // ── Write output ───────────────────────────────────────────────────────────
@@ -240,8 +433,8 @@ async function main() {
   const sizeKb = Math.round(outputBuf.length / 1024);
   console.log(`\n✅ Created: ${outputPath} (${sizeKb} KB)`);
 
-  if (imageFiles.size === 0 && referencedRefs.size === 0) {
-    console.log('   ℹ  No images — this is a text-only quiz (also loadable as .questron).');
+  if (imageFiles.size === 0 && referencedRefs.size === 0 && clipRefs.size === 0) {
+    console.log('   ℹ  No images or clips — this is a text-only quiz (also loadable as .questron).');
   }
 }
 
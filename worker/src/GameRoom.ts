@@ -5,9 +5,15 @@
 
 export interface Env {
   GAME_ROOM: DurableObjectNamespace;
+  REPORTS: DurableObjectNamespace;
   MAX_GAMES?: string;
+  REPORT_RETENTION_DAYS?: string;
+  BLOCKED_NAME_WORDS?: string; // comma-separated; replaces the built-in list when set
 }
 
+import { reportRetentionMs } from './ReportStore';
+import type { GameReport } from './ReportStore';
+
 // ── Types ─────────────────────────────────────────────────────────────────
 
 interface Player {
@@ -15,10 +21,28 @@ interface Player {
   score: number;
   answeredAtMs: number | null;
   selectedOptionId: string | null;
+  selectedOptionIds: string[] | null; // 'select all that apply' picks
+  textAnswer: string | null;       // 'text' answers and 'wordcloud' entries
+  orderAnswer: string[] | null;
+  numberAnswer: number | null;
   lastCorrect: boolean;
   delta: number;
   streak: number;
+  streakBefore?: number; // streak going into the last scored question, for voiding it
   rejoinToken: string;
+  team: string | null; // Team.id when team mode is on
+  hw: HomeworkProgress | null; // homework rooms only
+  rejoinBy?: number | null; // live games: while disconnected, when the seat is released
+  gone?: boolean;           // didn't come back in time; kept for the standings only
+}
+
+// Where a player is in a self-paced homework room
+interface HomeworkProgress {
+  index: number;         // current question, -1 before starting
+  endMs: number | null;  // this question's deadline while it's open
+  correct: number;
+  finished: boolean;
+  expired?: boolean;     // the homework closed with this question still open
 }
 
 interface QuizOption {
@@ -26,19 +50,60 @@ interface QuizOption {
   label: string;
   shape?: string;
   color?: string;
+  imageRef?: string | null; // picture answer, uploaded like a question image
+}
+
+type QuestionType = 'choice' | 'text' | 'order' | 'number' | 'poll' | 'wordcloud';
+
+interface NumberRange {
+  min: number;
+  max: number;
+  step: number;
+  unit: string;
+}
+
+interface ScoringRules {
+  multiplier: number;   // 0 = no points, 2 = double points
+  speedBonus: boolean;  // false = flat points regardless of answer time
+  streakCap: number;    // max streak multiplier, 1 = streaks give no bonus
+  wrongPenalty: number; // points deducted for a wrong answer (unanswered is never penalised)
 }
 
 interface QuizQuestion {
   id: string;
+  type: QuestionType;
   text: string;
   imageUrl?: string | null;
   imageRef?: string | null;
+  audioRef?: string | null;  // uploaded clip played with the question; at most one of audio / video
+  videoRef?: string | null;
+  explanation: string | null; // shown with the reveal, never before
+  sourceUrl: string | null;
   timeLimitSeconds: number;
   options: QuizOption[];
   correctOptionIds: string[];
+  multiSelect: boolean;      // 'choice' only — players pick every correct option
+  acceptedAnswers: string[]; // 'text' questions only
+  correctOrder: string[];    // 'order' questions only — option IDs in the right sequence
+  maxTypos: number | null;   // 'text' questions only — null = scale with answer length
+  correctValue: number | null; // 'number' questions only
+  range: NumberRange | null;   // 'number' questions only — sent to players for the slider
+  scoring: ScoringRules;       // quiz-level rules with this question's overrides applied
+  difficulty: number;          // 1 easy, 2 medium, 3 hard — the quiz's level unless tagged
   index: number;
 }
 
+interface Team {
+  id: string;
+  name: string;
+}
+
+interface TeamSettings {
+  mode: 'auto' | 'choose';      // auto-balanced on join, or picked by players in the lobby
+  scoring: 'sum' | 'average';
+  list: Team[];
+}
+
 interface RoundState {
   startMs: number;
   endMs: number;
@@ -46,6 +111,22 @@ interface RoundState {
   msRemaining?: number; // set when paused
 }
 
+// One player's answer to one question, kept for the post-game export. Stored
+// under `results:<index>` rather than in GameState so the state stays small.
+interface AnswerRecord {
+  name: string;
+  answer: string | null;     // what they picked or typed, as the host would read it
+  correct: boolean;
+  credit: number;            // 0–1; partial credit for multi-select, ordering and estimates
+  responseMs: number | null; // null = no answer
+  points: number;
+}
+
+interface HomeworkSettings {
+  deadlineMs: number;
+  closed: boolean;
+}
+
 interface GameState {
   id: string;
   title: string;
@@ -58,6 +139,26 @@ interface GameState {
   round: RoundState | null;
   hostTag: string | null;
   hostSecret: string;
+  hostAwayUntil?: number | null; // grace deadline while the host's socket is down
+  cleanupAt?: number | null;     // when a finished room deletes itself
+  teams: TeamSettings | null;
+  homework: HomeworkSettings | null; // self-paced mode: no shared round, players go at their own pace
+  lateJoin: 'zero' | 'lowest' | null; // players may join mid-game, starting on 0 or the lowest score
+  adaptive?: { level: number; levelBefore?: number } | null; // picks each next question near this difficulty (levelBefore: before the last reveal)
+  blockedWords?: string[];            // this room's own deny list, on top of the global one
+  banned?: { names: string[]; tokens: string[] }; // removed by the host for good
+  passwordHash?: string | null;       // new players must know the room password
+  waitingRoom?: boolean;              // the host lets each new player in
+  pending?: Record<string, { name: string; team: string | null }>; // wsTag -> join waiting for the host
+  locked?: boolean;                   // no new players at all; rejoins still work
+  voided?: number[];                  // question indexes the host took out of the scoring
+  images?: Record<string, string>;    // imageRef -> content hash of the uploaded file
+  clips?: Record<string, string>;     // audioRef / videoRef -> content hash of the uploaded file
+  clipsOnDevices?: boolean;           // players' phones play clips too, not just the host screen
+  textFormat?: 'plain' | 'markdown';  // how clients render question and option text (richtext.js)
+  waitForMedia?: boolean;             // hold a question's timer until most players have its media
+  mediaReady?: { index: number; tags: string[] } | null; // players who've loaded the upcoming question's media
+  mediaWait?: { index: number; until: number } | null;   // question held back for media, started by `until` at the latest
 }
 
 // ── Utilities ─────────────────────────────────────────────────────────────
@@ -66,12 +167,427 @@ function shuffle<T>(arr: T[]): T[] {
   return arr.map(v => [Math.random(), v] as [number, T]).sort((a, b) => a[0] - b[0]).map(v => v[1]);
 }
 
-function sanitizeName(name: string): string {
-  return String(name)
+// Names nobody gets by default. BLOCKED_NAME_WORDS replaces this list, so an
+// operator can add words or drop ones that trip up real names.
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'bastard', 'dickhead', 'asshole', 'arsehole', 'wanker',
+  'pussy', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'rapist', 'nazi', 'hitler', 'porn',
+];
+
+// Folds case, accents, look-alike digits and separators so "F.u_c-k" and "fvck" can't slip by
+function foldForFilter(text: string): string {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[0134579@$!]/g, c => ({ '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '9': 'g', '@': 'a', '$': 's', '!': 'i' })[c]!)
+    .replace(/v/g, 'u')
+    .replace(/[^a-z]/g, '');
+}
+
+function blockedWordList(env: Env): string[] {
+  return env.BLOCKED_NAME_WORDS !== undefined
+    ? env.BLOCKED_NAME_WORDS.split(',').map(foldForFilter).filter(Boolean)
+    : DEFAULT_BLOCKED_WORDS.map(foldForFilter);
+}
+
+// Cleaned display name, or '' when nothing usable is left or it contains a blocked word
+function sanitizeName(name: string, blockedWords: string[] = []): string {
+  const clean = String(name)
     .replace(/<[^>]*>/g, '')
     .replace(/[^\w\s\-'.!]/g, '')
     .slice(0, 24)
     .trim();
+  const folded = foldForFilter(clean);
+  return blockedWords.some(w => folded.includes(w)) ? '' : clean;
+}
+
+// Lower-case, strip accents/punctuation and collapse whitespace so "Café!" matches "cafe".
+function normalizeAnswer(text: string): string {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a: string, b: string): number {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j]! + 1, cur[j - 1]! + 1, prev[j - 1]! + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length]!;
+}
+
+// Typo allowance: none for very short answers, 1 up to 7 chars, 2 beyond
+function typoAllowance(answer: string): number {
+  if (answer.length <= 3) return 0;
+  if (answer.length <= 7) return 1;
+  return 2;
+}
+
+function matchesAccepted(input: string, accepted: string[], maxTypos: number | null): boolean {
+  const guess = normalizeAnswer(input);
+  if (!guess) return false;
+  return accepted.some(a => {
+    const target = normalizeAnswer(a);
+    if (!target) return false;
+    const allowed = maxTypos ?? typoAllowance(target);
+    return levenshtein(guess, target) <= allowed;
+  });
+}
+
+// Fraction of the question a player got right: 0 or 1 for choice/text,
+// share of items in the right position for ordering questions.
+function answerCredit(q: QuizQuestion, p: Player): number {
+  if (p.answeredAtMs === null) return 0;
+  switch (q.type) {
+    case 'text':
+      return matchesAccepted(p.textAnswer ?? '', q.acceptedAnswers, q.maxTypos) ? 1 : 0;
+    case 'order': {
+      if (!p.orderAnswer || q.correctOrder.length === 0) return 0;
+      const placed = q.correctOrder.filter((id, i) => p.orderAnswer![i] === id).length;
+      return placed / q.correctOrder.length;
+    }
+    case 'number':
+      if (p.numberAnswer === null || q.correctValue === null || !q.range) return 0;
+      return closenessCredit(p.numberAnswer, q.correctValue, q.range);
+    default: {
+      if (!q.multiSelect) return p.selectedOptionId !== null && q.correctOptionIds.includes(p.selectedOptionId) ? 1 : 0;
+      // Each correct pick earns a share, each wrong pick takes one back
+      const picks = pickedOptions(p);
+      const right = picks.filter(id => q.correctOptionIds.includes(id)).length;
+      return Math.max(0, (right - (picks.length - right)) / q.correctOptionIds.length);
+    }
+  }
+}
+
+// Option IDs a player picked, whether single- or multi-select
+function pickedOptions(p: Player): string[] {
+  if (p.selectedOptionIds) return p.selectedOptionIds;
+  return p.selectedOptionId ? [p.selectedOptionId] : [];
+}
+
+// Polls and word clouds collect responses without touching scores or streaks
+function isScored(q: QuizQuestion): boolean {
+  return q.type !== 'poll' && q.type !== 'wordcloud';
+}
+
+// Word-cloud entries grouped by normalized form, biggest first
+function wordCloud(players: Player[]): { word: string; count: number }[] {
+  const groups = new Map<string, { word: string; count: number }>();
+  for (const p of players) {
+    if (!p.textAnswer) continue;
+    const key = normalizeAnswer(p.textAnswer);
+    if (!key) continue;
+    const g = groups.get(key);
+    if (g) g.count++;
+    else groups.set(key, { word: p.textAnswer, count: 1 });
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, 60);
+}
+
+// Estimation scoring: guesses within 5% of the range count as a hit (full
+// points, streak continues), then credit falls off linearly to zero at 50%.
+const NUMBER_HIT_SHARE  = 0.05;
+const NUMBER_ZERO_SHARE = 0.5;
+
+function closenessCredit(guess: number, correct: number, range: NumberRange): number {
+  const span = range.max - range.min;
+  if (span <= 0) return guess === correct ? 1 : 0;
+  const off = Math.abs(guess - correct) / span;
+  if (off <= NUMBER_HIT_SHARE) return 1;
+  if (off >= NUMBER_ZERO_SHARE) return 0;
+  return 1 - (off - NUMBER_HIT_SHARE) / (NUMBER_ZERO_SHARE - NUMBER_HIT_SHARE);
+}
+
+// Shuffle ordering items so the starting sequence never gives the answer away
+function shuffleAwayFrom(options: QuizOption[]): QuizOption[] {
+  let out = shuffle([...options]);
+  for (let i = 0; i < 5 && out.every((o, idx) => o.id === options[idx]!.id); i++) out = shuffle([...options]);
+  return out;
+}
+
+const DEFAULT_SCORING: ScoringRules = { multiplier: 1, speedBonus: true, streakCap: 1.5, wrongPenalty: 0 };
+
+// Layer a quiz.json `scoring` block over `base`, ignoring anything out of range
+function mergeScoring(base: ScoringRules, raw: any): ScoringRules {
+  if (!raw || typeof raw !== 'object') return base;
+  const num = (v: unknown, min: number, max: number, fallback: number) =>
+    typeof v === 'number' && Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : fallback;
+  return {
+    multiplier:   num(raw.multiplier, 0, 3, base.multiplier),
+    speedBonus:   typeof raw.speedBonus === 'boolean' ? raw.speedBonus : base.speedBonus,
+    streakCap:    num(raw.streakCap, 1, 3, base.streakCap),
+    wrongPenalty: Math.floor(num(raw.wrongPenalty, 0, 1000, base.wrongPenalty)),
+  };
+}
+
+// Score one player's answer to `q` for a round that closed at `endMs`.
+// Partial credit scales points, but only a full answer extends the streak.
+function scorePlayer(q: QuizQuestion, p: Player, endMs: number): void {
+  const rules = q.scoring ?? DEFAULT_SCORING;
+  p.streakBefore  = p.streak;
+  if (!isScored(q)) { p.lastCorrect = false; p.delta = 0; return; }
+  const credit    = answerCredit(q, p);
+  p.lastCorrect   = credit >= 1;
+  let delta = 0;
+  if (credit > 0 && p.answeredAtMs !== null) {
+    p.streak = p.lastCorrect ? p.streak + 1 : 0;
+    const timeLimit    = q.timeLimitSeconds * 1000;
+    const remaining    = Math.max(0, endMs - p.answeredAtMs);
+    // 500–1000 by speed, or a flat 1000 with the speed bonus off
+    const base         = rules.speedBonus ? Math.floor(500 + 500 * Math.min(1, remaining / timeLimit)) : 1000;
+    // Streak multiplier: +10% per streak level above 1, up to the quiz's cap (default +50%)
+    const streakMult   = p.streak >= 2 ? Math.min(rules.streakCap, 1.0 + (p.streak - 1) * 0.1) : 1.0;
+    delta = Math.floor(base * streakMult * credit * rules.multiplier);
+    p.score += delta;
+  } else {
+    p.streak = 0;
+    // Negative marking: wrong answers lose points, but never below zero
+    if (p.answeredAtMs !== null && rules.wrongPenalty > 0) {
+      delta = -Math.min(p.score, rules.wrongPenalty);
+      p.score += delta;
+    }
+  }
+  p.delta = delta;
+}
+
+// Clear a player's answer before the next question
+function resetAnswer(p: Player): void {
+  p.answeredAtMs = null;
+  p.selectedOptionId = null;
+  p.selectedOptionIds = null;
+  p.textAnswer = null;
+  p.orderAnswer = null;
+  p.numberAnswer = null;
+  p.lastCorrect = false;
+  p.delta = 0;
+  // Also reset for players not scored this round, so undoing it leaves their streak alone
+  p.streakBefore = p.streak;
+}
+
+// A player's answer as readable text: option labels, typed text or the estimate
+function answerText(q: QuizQuestion, p: Player): string | null {
+  const label = (id: string) => q.options.find(o => o.id === id)?.label ?? id;
+  switch (q.type) {
+    case 'text':
+    case 'wordcloud': return p.textAnswer;
+    case 'order':     return p.orderAnswer ? p.orderAnswer.map(label).join(' > ') : null;
+    case 'number':    return p.numberAnswer !== null ? String(p.numberAnswer) : null;
+    default: {
+      const picks = pickedOptions(p);
+      return picks.length ? picks.map(label).join('; ') : null;
+    }
+  }
+}
+
+// The right answer as readable text (null for polls and word clouds)
+function correctAnswerText(q: QuizQuestion): string | null {
+  const label = (id: string) => q.options.find(o => o.id === id)?.label ?? id;
+  switch (q.type) {
+    case 'text':   return q.acceptedAnswers.join(' / ');
+    case 'order':  return q.correctOrder.map(label).join(' > ');
+    case 'number': return q.correctValue !== null ? `${q.correctValue}${q.range?.unit ? ' ' + q.range.unit : ''}` : null;
+    case 'choice': return q.correctOptionIds.map(label).join('; ');
+    default:       return null;
+  }
+}
+
+// Snapshot of a scored answer, taken before resetAnswer clears it
+function answerRecord(q: QuizQuestion, p: Player, startMs: number): AnswerRecord {
+  return {
+    name: p.name,
+    answer: answerText(q, p),
+    correct: p.lastCorrect,
+    credit: isScored(q) ? Math.round(answerCredit(q, p) * 100) / 100 : 0,
+    responseMs: p.answeredAtMs !== null ? Math.max(0, p.answeredAtMs - startMs) : null,
+    points: p.delta,
+  };
+}
+
+// Question payload for players — correct answers excluded
+function safeQuestion(state: GameState, q: QuizQuestion, index: number, total: number, timeLimitSeconds: number) {
+  return {
+    id: q.id,
+    type: q.type,
+    index,
+    total,
+    text: q.text,
+    format: state.textFormat ?? 'plain',
+    imageUrl: q.imageUrl ?? null,
+    imagePath: imagePath(state, q.imageRef),
+    ...clipPaths(state, q),
+    // Homework players have no host screen to hear it from
+    clipsOnDevices: !!(state.clipsOnDevices || state.homework),
+    timeLimitSeconds,
+    options: q.options.map(o => o.imageRef ? { ...o, imagePath: imagePath(state, o.imageRef) } : o),
+    multiSelect: q.multiSelect,
+    range: q.range,
+  };
+}
+
+const TEAM_NAMES = ['Lime', 'Orange', 'Gold', 'Mint', 'Sky', 'Rose'];
+
+// Homework results stay viewable this long after the deadline, then the room is deleted
+const HOMEWORK_RETENTION_MS   = 7 * 24 * 60 * 60 * 1000;
+// Allowance for a player's clock running ahead of ours when their timer runs out
+const HOMEWORK_CLOCK_SLACK_MS = 1000;
+
+// How long a live game waits for its host to reconnect before it's cancelled
+const HOST_GRACE_MS = 2 * 60 * 1000;
+// How long a dropped player's seat (score, team, name) is held for them in a live game
+const REJOIN_WINDOW_MS = 2 * 60 * 1000;
+
+// Read-only projector screens per room; they don't count toward the player cap
+const MAX_SPECTATORS = 10;
+
+// Uploaded question images. A SQLite-backed value holds up to 2 MB.
+const MAX_IMAGE_BYTES = 1536 * 1024;
+
+// The JPEG / PNG / GIF / WebP an upload claims to be, by its magic bytes (never SVG)
+function imageMime(b: Uint8Array): string | null {
+  if (b[0] === 0xFF && b[1] === 0xD8) return 'image/jpeg';
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47) return 'image/png';
+  if (b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46) return 'image/gif';
+  if (b[0] === 0x52 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x46 &&
+      b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50) return 'image/webp';
+  return null;
+}
+
+// Where clients fetch an uploaded question or option image (relative to the game
+// server). The hash makes the URL change with the file, so it can be cached for good.
+function imagePath(state: GameState, ref: string | null | undefined): string | null {
+  const hash = ref ? state.images?.[ref] : null;
+  return hash ? `/room/${state.id}/image/${encodeURIComponent(ref!)}?v=${hash}` : null;
+}
+
+function usesImage(q: QuizQuestion, ref: string): boolean {
+  return q.imageRef === ref || q.options.some(o => o.imageRef === ref);
+}
+
+// Uploaded audio / video clips. Stored in pieces, each under the 2 MB value limit.
+const MAX_CLIP_BYTES   = 8 * 1024 * 1024;
+const CLIP_CHUNK_BYTES = 1024 * 1024;
+
+// The MP3 / AAC / Ogg / WAV / MP4 / WebM a clip upload claims to be, by its magic bytes
+function clipMime(kind: 'audio' | 'video', b: Uint8Array): string | null {
+  const ascii = (from: number, to: number) => String.fromCharCode(...b.slice(from, to));
+  if (ascii(4, 8) === 'ftyp') return `${kind}/mp4`;
+  if (b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3) return `${kind}/webm`;
+  if (kind === 'video') return null;
+  if (ascii(0, 3) === 'ID3' || (b[0] === 0xFF && (b[1]! & 0xE0) === 0xE0)) return 'audio/mpeg';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  return null;
+}
+
+// Which kind of clip the quiz uses this file as, if any
+function clipKind(state: GameState, ref: string): 'audio' | 'video' | null {
+  if (state.questions.some(q => q.videoRef === ref)) return 'video';
+  if (state.questions.some(q => q.audioRef === ref)) return 'audio';
+  return null;
+}
+
+function clipPaths(state: GameState, q: QuizQuestion) {
+  const path = (ref: string | null | undefined) => {
+    const hash = ref ? state.clips?.[ref] : null;
+    return hash ? `/room/${state.id}/clip/${encodeURIComponent(ref!)}?v=${hash}` : null;
+  };
+  return { audioPath: path(q.audioRef), videoPath: path(q.videoRef) };
+}
+
+// First 16 hex digits of the SHA-256, for versioned media URLs
+async function contentHash(data: ArrayBuffer): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest).slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// What a question will show besides its text, so clients can load it ahead of question:show
+function questionMedia(state: GameState, q: QuizQuestion) {
+  const optionImages = q.options.map(o => imagePath(state, o.imageRef)).filter((path): path is string => !!path);
+  return {
+    imagePath: imagePath(state, q.imageRef),
+    imageUrl: q.imageUrl ?? null,
+    ...clipPaths(state, q),
+    optionImages: optionImages.length ? optionImages : null,
+  };
+}
+
+// A held question starts once this share of online players has its media loaded,
+// or after the cap, so one slow phone can't stall the room
+const MEDIA_READY_SHARE = 0.8;
+const MEDIA_WAIT_CAP_MS = 8000;
+
+// Room passwords are only kept hashed, salted with the room code
+async function roomPasswordHash(gameId: string, password: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${gameId}:${password}`));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Narrower credentials handed out by the host: a phone controller's pairing token
+// and the token that opens a saved report. They're derived from the host secret,
+// so they never need storing, and can't be turned back into the secret itself.
+export async function hostToken(hostSecret: string, gameId: string, purpose: 'controller' | 'report'): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(hostSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${purpose}:${gameId}`));
+  return [...new Uint8Array(sig)].slice(0, 16).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// What a paired controller sees privately while a question is open
+function answerKey(q: QuizQuestion) {
+  return {
+    type: q.type,
+    correctOptionIds: q.correctOptionIds,
+    acceptedAnswers: q.acceptedAnswers,
+    correctOrder: q.correctOrder,
+    correctValue: q.correctValue,
+    range: q.range,
+  };
+}
+
+function createTeamSettings(raw: any): TeamSettings | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const count = Math.max(2, Math.min(TEAM_NAMES.length, parseInt(raw.count) || 2));
+  return {
+    mode: raw.mode === 'choose' ? 'choose' : 'auto',
+    scoring: raw.scoring === 'average' ? 'average' : 'sum',
+    list: TEAM_NAMES.slice(0, count).map((name, i) => ({ id: `t${i + 1}`, name })),
+  };
+}
+
+// ── Adaptive difficulty ───────────────────────────────────────────────────
+
+const DIFFICULTY_LEVELS: Record<string, number> = { easy: 1, medium: 2, hard: 3 };
+// Share of the room answering correctly that moves the next question up or down a level
+const ADAPTIVE_RAISE_AT = 80;
+const ADAPTIVE_LOWER_AT = 40;
+
+function difficultyLevel(tag: unknown, fallback = 2): number {
+  return typeof tag === 'string' ? DIFFICULTY_LEVELS[tag.toLowerCase()] ?? fallback : fallback;
+}
+
+// Bring the remaining question closest to `level` up to position `at`. The pool is
+// already shuffled, so ties go to whichever comes first.
+function pickNextQuestion(questions: QuizQuestion[], at: number, level: number): void {
+  if (at >= questions.length) return;
+  let best = at;
+  for (let i = at + 1; i < questions.length; i++) {
+    if (Math.abs(questions[i].difficulty - level) < Math.abs(questions[best].difficulty - level)) best = i;
+  }
+  const [next] = questions.splice(best, 1);
+  questions.splice(at, 0, next);
 }
 
 function createGameState(gameId: string, payload: any): GameState {
@@ -81,16 +597,46 @@ function createGameState(gameId: string, payload: any): GameState {
   if (shouldShuffle) ordered = shuffle(ordered);
 
   const shouldShuffleAnswers = payload.shuffleAnswers !== false;
-  const questions: QuizQuestion[] = ordered.map((q: any, idx: number) => ({
-    id: q.id,
-    text: q.text,
-    imageUrl: q.imageUrl || null,
-    imageRef: q.imageRef || null,
-    timeLimitSeconds: Math.max(5, Math.min(90, q.timeLimitSeconds || defaultTime)),
-    options: shouldShuffleAnswers ? shuffle([...q.options]) : q.options,
-    correctOptionIds: q.correctOptionIds,
-    index: idx,
-  }));
+  const quizScoring = mergeScoring(DEFAULT_SCORING, payload.scoring);
+  const quizLevel = difficultyLevel(payload.meta?.difficulty ?? payload.difficulty);
+  const questions: QuizQuestion[] = ordered.map((q: any, idx: number) => {
+    const type: QuestionType = ['text', 'order', 'number', 'poll', 'wordcloud'].includes(q.type) ? q.type : 'choice';
+    const options: QuizOption[] = type === 'text' || type === 'number' || type === 'wordcloud' ? [] : q.options;
+    return {
+      id: q.id,
+      type,
+      text: q.text,
+      imageUrl: q.imageUrl || null,
+      imageRef: q.imageRef || null,
+      audioRef: q.audioRef || null,
+      videoRef: q.videoRef || null,
+      explanation: typeof q.explanation === 'string' && q.explanation.trim() ? q.explanation.trim() : null,
+      sourceUrl: typeof q.sourceUrl === 'string' && q.sourceUrl ? q.sourceUrl : null,
+      timeLimitSeconds: Math.max(5, Math.min(90, q.timeLimitSeconds || defaultTime)),
+      // Ordering items are always shuffled; they're authored in the correct sequence
+      options: type === 'order' ? shuffleAwayFrom(options) : shouldShuffleAnswers ? shuffle([...options]) : options,
+      correctOptionIds: type === 'choice' ? q.correctOptionIds : [],
+      multiSelect: type === 'choice' && q.multiSelect === true,
+      correctOrder: type === 'order' ? options.map(o => o.id) : [],
+      acceptedAnswers: type === 'text' ? q.acceptedAnswers.map((a: string) => String(a).slice(0, 100)) : [],
+      maxTypos: type === 'text' && Number.isInteger(q.maxTypos) ? Math.max(0, Math.min(3, q.maxTypos)) : null,
+      correctValue: type === 'number' ? q.correctValue : null,
+      range: type === 'number' ? {
+        min: q.min,
+        max: q.max,
+        step: typeof q.step === 'number' && q.step > 0 ? q.step : 1,
+        unit: typeof q.unit === 'string' ? q.unit.slice(0, 16) : '',
+      } : null,
+      scoring: mergeScoring(quizScoring, q.scoring),
+      difficulty: difficultyLevel(q.difficulty, quizLevel),
+      index: idx,
+    };
+  });
+
+  // Adaptive rooms open at the quiz's own level; homework has no shared pace to adapt to
+  const homework = payload.homework && typeof payload.homework.deadlineMs === 'number';
+  const adaptive = payload.adaptive === true && !homework ? { level: quizLevel } : null;
+  if (adaptive) pickNextQuestion(questions, 0, adaptive.level);
 
   return {
     id: gameId,
@@ -104,6 +650,21 @@ function createGameState(gameId: string, payload: any): GameState {
     round: null,
     hostTag: null,
     hostSecret: crypto.randomUUID(),
+    hostAwayUntil: null,
+    teams: createTeamSettings(payload.teams),
+    homework: homework ? { deadlineMs: payload.homework.deadlineMs, closed: false } : null,
+    adaptive,
+    lateJoin: payload.lateJoin === 'zero' || payload.lateJoin === 'lowest' ? payload.lateJoin : null,
+    blockedWords: Array.isArray(payload.blockedWords) ? payload.blockedWords.map(foldForFilter).filter(Boolean) : [],
+    banned: { names: [], tokens: [] },
+    passwordHash: null,
+    // A waiting room needs a host watching; homework players come and go on their own
+    waitingRoom: payload.waitingRoom === true && !homework,
+    waitForMedia: payload.waitForMedia === true && !homework,
+    clipsOnDevices: payload.clipsOnDevices === true,
+    textFormat: payload.textFormat === 'markdown' ? 'markdown' : 'plain',
+    pending: {},
+    locked: false,
   };
 }
 
@@ -161,18 +722,98 @@ export class GameRoom {
     }
   }
 
+  // Host screen plus any paired phone controllers
   private toHost(state: GameState, type: string, payload: unknown): void {
     if (state.hostTag) this.toTag(state.hostTag, type, payload);
+    this.toTag('controller', type, payload);
+  }
+
+  // Host plus any spectator screens — they show what the host sees, minus the controls
+  private toScreens(state: GameState, type: string, payload: unknown): void {
+    this.toHost(state, type, payload);
+    this.toTag('spectator', type, payload);
   }
 
   private broadcastLobby(state: GameState): void {
     const players = Object.values(state.players).map(p => p.name);
-    this.broadcast('lobby:update', { players, gameId: state.id, title: state.title });
+    const teams = state.teams ? this.teamRoster(state) : null;
+    // Live games: who dropped (and how long their seat is held), and who never came back
+    const offline = state.homework ? [] : Object.values(state.disconnectedPlayers);
+    const away = offline.filter(p => !p.gone).map(p => ({ name: p.name, msLeft: Math.max(0, (p.rejoinBy ?? 0) - Date.now()) }));
+    const gone = offline.filter(p => p.gone).map(p => p.name);
+    this.broadcast('lobby:update', {
+      players, teams, teamMode: state.teams?.mode ?? null, gameId: state.id, title: state.title, away, gone, locked: !!state.locked,
+    });
+  }
+
+  // ── Teams ────────────────────────────────────────────────────────────
+
+  private teamRoster(state: GameState): { id: string; name: string; players: string[] }[] {
+    return (state.teams?.list ?? []).map(t => ({
+      id: t.id,
+      name: t.name,
+      players: Object.values(state.players).filter(p => p.team === t.id).map(p => p.name),
+    }));
+  }
+
+  // Team with the fewest connected players (first one wins ties)
+  private smallestTeam(state: GameState): string | null {
+    const roster = this.teamRoster(state);
+    if (!roster.length) return null;
+    return roster.reduce((min, t) => t.players.length < min.players.length ? t : min).id;
+  }
+
+  // Team totals, counting players who dropped out mid-game so a team doesn't lose their points
+  private getTeamLeaderboard(state: GameState) {
+    if (!state.teams) return null;
+    const everyone = [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)];
+    const average = state.teams.scoring === 'average';
+    return state.teams.list
+      .map(t => {
+        const members = everyone.filter(p => p.team === t.id);
+        const total   = members.reduce((sum, p) => sum + p.score, 0);
+        const delta   = members.reduce((sum, p) => sum + (p.delta || 0), 0);
+        const size    = members.length;
+        return {
+          id: t.id,
+          name: t.name,
+          size,
+          score: average ? (size ? Math.round(total / size) : 0) : total,
+          delta: average ? (size ? Math.round(delta / size) : 0) : delta,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Counts per option (same order as q.options)
+  private optionCounts(state: GameState, q: QuizQuestion): number[] {
+    const optionCounts: Record<string, number> = {};
+    for (const opt of q.options) optionCounts[opt.id] = 0;
+    for (const p of Object.values(state.players)) {
+      for (const id of pickedOptions(p)) {
+        if (optionCounts[id] !== undefined) optionCounts[id]++;
+      }
+    }
+    return q.options.map(opt => optionCounts[opt.id] ?? 0);
+  }
+
+  // Answer count for the host — polls and word clouds also stream their results live
+  private roundProgress(state: GameState, q: QuizQuestion) {
+    return {
+      answeredCount: Object.values(state.players).filter(p => p.answeredAtMs !== null).length,
+      totalCount: Object.keys(state.players).length,
+      ...(q.type === 'poll'      ? { counts: this.optionCounts(state, q) } : {}),
+      ...(q.type === 'wordcloud' ? { words: wordCloud(Object.values(state.players)) } : {}),
+    };
   }
 
   private getLeaderboard(state: GameState) {
-    return Object.values(state.players)
-      .map(p => ({ name: p.name, score: p.score, lastCorrect: !!p.lastCorrect, delta: p.delta || 0, streak: p.streak || 0 }))
+    // Homework standings include players who've gone offline since
+    const everyone = state.homework
+      ? [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)]
+      : Object.values(state.players);
+    return everyone
+      .map(p => ({ name: p.name, score: p.score, lastCorrect: !!p.lastCorrect, delta: p.delta || 0, streak: p.streak || 0, team: p.team ?? null }))
       .sort((a, b) => b.score - a.score);
   }
 
@@ -185,22 +826,49 @@ export class GameRoom {
     if (url.pathname.endsWith('/init') && request.method === 'POST') {
       const { gameId, quiz } = await request.json() as { gameId: string; quiz: any };
       const state = createGameState(gameId, quiz);
+      if (typeof quiz.password === 'string' && quiz.password) state.passwordHash = await roomPasswordHash(gameId, quiz.password);
       await this.saveState(state);
-      // Return shuffled question order so the host client can look up images per question
-      return Response.json({ ok: true, questionOrder: state.questions.map(q => q.id), hostSecret: state.hostSecret });
+      // Homework rooms stay open until the deadline; there's no per-question alarm
+      if (state.homework) await this.ctx.storage.setAlarm(state.homework.deadlineMs);
+      return Response.json({ ok: true, hostSecret: state.hostSecret });
     }
 
+    // Question images (PUT by the host after create, GET by everyone)
+    const imageMatch = url.pathname.match(/\/image\/([^/]+)$/);
+    if (imageMatch) return this.imageRequest(request, url, decodeURIComponent(imageMatch[1]!));
+    const clipMatch = url.pathname.match(/\/clip\/([^/]+)$/);
+    if (clipMatch) return this.clipRequest(request, url, decodeURIComponent(clipMatch[1]!));
+
     // Status check (called from Worker entry on GET /api/exists/:id)
     if (request.headers.get('Upgrade') !== 'websocket') {
       const state = await this.getState();
       if (!state) return Response.json({ ok: false, error: 'Room not found.' });
-      if (state.started) return Response.json({ ok: false, error: 'Game already started.' });
-      return Response.json({ ok: true, title: state.title });
+      if (state.started && !state.lateJoin) return Response.json({ ok: false, error: 'Game already started.' });
+      if (state.homework?.closed) return Response.json({ ok: false, error: 'This homework is closed.' });
+      if (state.locked) return Response.json({ ok: false, error: 'The host has locked this room.' });
+      return Response.json({ ok: true, title: state.title, password: !!state.passwordHash, waitingRoom: !!state.waitingRoom });
     }
 
     // ── WebSocket upgrade ──────────────────────────────────────────────
 
-    const role = url.searchParams.get('role') ?? 'player'; // 'host' | 'player'
+    const role = url.searchParams.get('role') ?? 'player'; // 'host' | 'controller' | 'player' | 'spectator'
+    if (!['host', 'controller', 'player', 'spectator'].includes(role)) {
+      return new Response(null, { status: 400, statusText: 'Unknown role' });
+    }
+
+    // Spectators only watch live games, and a room only needs a few screens
+    if (role === 'spectator') {
+      const state = await this.getState();
+      if (!state) {
+        return new Response(null, { status: 404, statusText: 'Room not found' });
+      }
+      if (state.homework) {
+        return new Response(null, { status: 409, statusText: 'Homework rooms have no live view' });
+      }
+      if (this.ctx.getWebSockets('spectator').length >= MAX_SPECTATORS) {
+        return new Response(null, { status: 429, statusText: 'Too many spectators' });
+      }
+    }
 
     // Validate host secret BEFORE accepting the WebSocket
     if (role === 'host') {
@@ -214,10 +882,29 @@ export class GameRoom {
         return new Response(null, { status: 403, statusText: 'Invalid host credentials' });
       }
       state.hostTag = 'host';
+      // Host is back within the grace period: call off the cancellation
+      if (state.hostAwayUntil) {
+        state.hostAwayUntil = null;
+        await this.armAlarm(state);
+        this.broadcast('host:back', {});
+      }
       await this.saveState(state);
     }
 
-    const wsTag = role === 'host' ? 'host' : `${role}-${crypto.randomUUID().slice(0, 8)}`;
+    // Phone controllers pair with a token derived from the host secret
+    if (role === 'controller') {
+      const state = await this.getState();
+      if (!state) {
+        return new Response(null, { status: 404, statusText: 'Room not found' });
+      }
+      const token = url.searchParams.get('token') ?? '';
+      if (!state.hostSecret || state.homework || token !== await hostToken(state.hostSecret, state.id, 'controller')) {
+        return new Response(null, { status: 403, statusText: 'Invalid controller token' });
+      }
+    }
+
+    // Host, controller and spectator sockets share one tag each; every player gets their own
+    const wsTag = role === 'player' ? `player-${crypto.randomUUID().slice(0, 8)}` : role;
 
     const { 0: client, 1: server } = new WebSocketPair();
     this.ctx.acceptWebSocket(server, [wsTag]);
@@ -225,6 +912,123 @@ export class GameRoom {
     return new Response(null, { status: 101, webSocket: client });
   }
 
+  // ── Question images ──────────────────────────────────────────────────
+  // The host uploads each image in its .questron file once, right after create.
+  // Only images the quiz refers to are accepted; they go when the room is deleted.
+
+  private async imageRequest(request: Request, url: URL, ref: string): Promise<Response> {
+    const state = await this.getState();
+    if (!state) return new Response('Room not found', { status: 404 });
+
+    if (request.method === 'PUT') {
+      if (!state.hostSecret || url.searchParams.get('secret') !== state.hostSecret) {
+        return Response.json({ ok: false, error: 'Invalid host credentials.' }, { status: 403 });
+      }
+      if (!state.questions.some(q => usesImage(q, ref))) {
+        return Response.json({ ok: false, error: 'No question uses this image.' }, { status: 404 });
+      }
+      const data = await request.arrayBuffer();
+      if (data.byteLength > MAX_IMAGE_BYTES) {
+        return Response.json({ ok: false, error: 'Image too large.' }, { status: 413 });
+      }
+      const mime = imageMime(new Uint8Array(data.slice(0, 12)));
+      if (!mime) return Response.json({ ok: false, error: 'Unsupported image format.' }, { status: 415 });
+      const hash = await contentHash(data);
+      await this.ctx.storage.put(`image:${ref}`, { mime, data });
+      state.images = { ...state.images, [ref]: hash };
+      await this.saveState(state);
+      return Response.json({ ok: true });
+    }
+
+    const image = await this.ctx.storage.get<{ mime: string; data: ArrayBuffer }>(`image:${ref}`);
+    if (!image) return new Response('Image not found', { status: 404 });
+    // A versioned URL always means the same file; an unversioned one may be re-uploaded
+    const current = url.searchParams.get('v') === state.images?.[ref];
+    return new Response(image.data, {
+      headers: {
+        'Content-Type': image.mime,
+        'Cache-Control': current ? 'public, max-age=86400, immutable' : 'public, max-age=60',
+        'X-Content-Type-Options': 'nosniff',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+
+  // ── Question clips ───────────────────────────────────────────────────
+  // Audio and video work like images, but are too big for one storage value:
+  // `clip:<ref>` holds the type and size, `clip:<ref>:<n>` the pieces. Media
+  // elements fetch in ranges (Safari insists on it), so GET honours Range.
+
+  private async clipRequest(request: Request, url: URL, ref: string): Promise<Response> {
+    const state = await this.getState();
+    if (!state) return new Response('Room not found', { status: 404 });
+    const kind = clipKind(state, ref);
+
+    if (request.method === 'PUT') {
+      if (!state.hostSecret || url.searchParams.get('secret') !== state.hostSecret) {
+        return Response.json({ ok: false, error: 'Invalid host credentials.' }, { status: 403 });
+      }
+      if (!kind) return Response.json({ ok: false, error: 'No question uses this clip.' }, { status: 404 });
+      const data = await request.arrayBuffer();
+      if (data.byteLength > MAX_CLIP_BYTES) {
+        return Response.json({ ok: false, error: 'Clip too large.' }, { status: 413 });
+      }
+      const mime = clipMime(kind, new Uint8Array(data.slice(0, 12)));
+      if (!mime) return Response.json({ ok: false, error: 'Unsupported clip format.' }, { status: 415 });
+      const chunks = Math.ceil(data.byteLength / CLIP_CHUNK_BYTES);
+      const entries: Record<string, unknown> = { [`clip:${ref}`]: { mime, size: data.byteLength, chunks } };
+      for (let i = 0; i < chunks; i++) {
+        entries[`clip:${ref}:${i}`] = data.slice(i * CLIP_CHUNK_BYTES, (i + 1) * CLIP_CHUNK_BYTES);
+      }
+      await this.ctx.storage.put(entries);
+      state.clips = { ...state.clips, [ref]: await contentHash(data) };
+      await this.saveState(state);
+      return Response.json({ ok: true });
+    }
+
+    const meta = await this.ctx.storage.get<{ mime: string; size: number; chunks: number }>(`clip:${ref}`);
+    if (!meta) return new Response('Clip not found', { status: 404 });
+
+    const current = url.searchParams.get('v') === state.clips?.[ref];
+    const headers: Record<string, string> = {
+      'Content-Type': meta.mime,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': current ? 'public, max-age=86400, immutable' : 'public, max-age=60',
+      'X-Content-Type-Options': 'nosniff',
+      'Access-Control-Allow-Origin': '*',
+    };
+    const range = (request.headers.get('Range') ?? '').match(/^bytes=(\d*)-(\d*)$/);
+    if (!range || (!range[1] && !range[2])) return new Response(await this.clipBytes(ref, 0, meta.size - 1), { headers });
+    // `bytes=-N` is the last N bytes
+    const start = range[1] ? Number(range[1]) : Math.max(0, meta.size - Number(range[2]));
+    const end   = range[1] && range[2] ? Math.min(Number(range[2]), meta.size - 1) : meta.size - 1;
+    if (start > end || start >= meta.size) {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${meta.size}` } });
+    }
+    return new Response(await this.clipBytes(ref, start, end), {
+      status: 206,
+      headers: { ...headers, 'Content-Range': `bytes ${start}-${end}/${meta.size}` },
+    });
+  }
+
+  // Bytes start–end (inclusive) of a stored clip, reading only the chunks they fall in
+  private async clipBytes(ref: string, start: number, end: number): Promise<Uint8Array> {
+    const first = Math.floor(start / CLIP_CHUNK_BYTES);
+    const last  = Math.floor(end / CLIP_CHUNK_BYTES);
+    const keys  = Array.from({ length: last - first + 1 }, (_, i) => `clip:${ref}:${first + i}`);
+    const parts = await this.ctx.storage.get<ArrayBuffer>(keys);
+    const body  = new Uint8Array(end - start + 1);
+    let offset  = 0;
+    for (const [i, key] of keys.entries()) {
+      const chunkStart = (first + i) * CLIP_CHUNK_BYTES;
+      const part = new Uint8Array(parts.get(key)!);
+      const piece = part.subarray(Math.max(0, start - chunkStart), Math.min(part.byteLength, end - chunkStart + 1));
+      body.set(piece, offset);
+      offset += piece.byteLength;
+    }
+    return body;
+  }
+
   // ── WebSocket Hibernation handlers ───────────────────────────────────
 
   async webSocketMessage(ws: WebSocket, message: string): Promise<void> {
@@ -254,15 +1058,33 @@ export class GameRoom {
     const ack = (data: unknown) => { if (reqId !== undefined) this.sendAck(ws, reqId, data); };
 
     switch (type) {
-      case 'host:startGame':   await this.onHostStart(state, wsTag, payload); break;
-      case 'host:pause':       await this.onHostPause(state, wsTag); break;
-      case 'host:resume':      await this.onHostResume(state, wsTag); break;
-      case 'host:next':        await this.onHostNext(state, wsTag, payload); break;
-      case 'player:join':      await this.onPlayerJoin(state, wsTag, ws, payload, ack); break;
-      case 'player:answer':    await this.onPlayerAnswer(state, wsTag, payload); break;
-      case 'player:react':     await this.onPlayerReact(state, wsTag, payload); break;
-      case 'game:exists':      ack({ ok: true, title: state.title }); break;
-      case 'host:kickPlayer':  await this.onHostKickPlayer(state, wsTag, payload); break;
+      case 'host:startGame':    await this.onHostStart(state, wsTag); break;
+      case 'host:pause':        await this.onHostPause(state, wsTag); break;
+      case 'host:resume':       await this.onHostResume(state, wsTag); break;
+      case 'host:next':         await this.onHostNext(state, wsTag); break;
+      case 'player:join':       await this.onPlayerJoin(state, wsTag, ws, payload, ack); break;
+      case 'player:answer':     await this.onPlayerAnswer(state, wsTag, payload); break;
+      case 'player:react':      await this.onPlayerReact(state, wsTag, payload); break;
+      case 'media:ready':       await this.onMediaReady(state, wsTag, payload); break;
+      case 'player:chooseTeam': await this.onPlayerChooseTeam(state, wsTag, payload); break;
+      case 'game:exists':       ack({ ok: true, title: state.title }); break;
+      case 'host:kickPlayer':   await this.onHostKickPlayer(state, wsTag, payload); break;
+      case 'host:renamePlayer': await this.onHostRenamePlayer(state, wsTag, payload, ack); break;
+      case 'host:admit':        await this.onHostAdmit(state, wsTag, payload); break;
+      case 'host:lock':         await this.onHostLock(state, wsTag, payload); break;
+      case 'homework:next':     await this.onHomeworkNext(state, wsTag); break;
+      case 'host:results':      if (wsTag === 'host') ack(this.homeworkResults(state)); break;
+      case 'host:sync':         if (wsTag === 'host') this.onSync(state, ws, ack); break;
+      case 'spectator:sync':    if (wsTag === 'spectator') this.onSync(state, ws, ack); break;
+      case 'host:cancel':       await this.onHostCancel(state, wsTag); break;
+      case 'host:skip':         await this.onHostSkip(state, wsTag); break;
+      case 'host:addTime':      await this.onHostAddTime(state, wsTag, payload); break;
+      case 'host:void':         await this.onHostVoid(state, wsTag); break;
+      case 'host:reask':        await this.onHostReask(state, wsTag); break;
+      case 'host:controller':   if (wsTag === 'host') await this.onHostController(state, ack); break;
+      case 'host:export':       if (wsTag === 'host') ack(await this.resultsExport(state)); break;
+      case 'remote:sync':       if (wsTag === 'controller') this.onSync(state, ws, ack); break;
+      case 'remote:command':    await this.onRemoteCommand(state, wsTag, payload); break;
       default: break; // ignore unknown events (spectators, future events)
     }
   }
@@ -273,111 +1095,462 @@ export class GameRoom {
 
     const wsTag = this.tag(ws);
 
+    // Homework hosts come and go; players carry on without them
+    if (wsTag === 'host' && state.homework) return;
+
     if (wsTag === 'host') {
-      this.broadcast('game:cancelled', { reason: 'Host disconnected' });
-      await this.ctx.storage.deleteAll();
-      this._state = null;
+      // A second host tab is still attached, or the game is over and already on its cleanup alarm
+      if (this.ctx.getWebSockets('host').some(other => other !== ws)) return;
+      if (!state.started && state.currentIndex >= 0) return;
+      await this.onHostAway(state);
+      return;
+    }
+
+    // Gave up waiting to be let in
+    const request = state.pending?.[wsTag];
+    if (request) {
+      delete state.pending![wsTag];
+      await this.saveState(state);
+      this.toHost(state, 'join:withdrawn', { name: request.name });
       return;
     }
 
     const player = state.players[wsTag];
     if (!player) return;
 
-    if (state.started) {
-      // Preserve player data for potential rejoin (2 min window)
+    if (state.homework) {
+      // Homework players may come back days later to pick up where they left off
       state.disconnectedPlayers[player.name] = { ...player };
+      delete state.players[wsTag];
+      await this.saveState(state);
+      this.toHost(state, 'homework:results', this.homeworkResults(state));
+      return;
     }
-    delete state.players[wsTag];
 
-    // Remove from awaiting if in active round
-    if (state.round) {
-      state.round.awaiting = state.round.awaiting.filter(t => t !== wsTag);
+    // Hold the seat (score, team, name) for a rejoin; the alarm releases it when the window closes.
+    // A finished game has nothing left to rejoin.
+    if (state.started || state.currentIndex < 0) {
+      state.disconnectedPlayers[player.name] = { ...player, rejoinBy: Date.now() + REJOIN_WINDOW_MS };
     }
+    delete state.players[wsTag];
 
     this.broadcastLobby(state);
 
-    // If round active and everyone left, clean up timer
-    if (state.round && Object.keys(state.players).length === 0) {
-      await this.ctx.storage.deleteAlarm();
-      state.round = null;
+    // Don't keep the round waiting on someone who's offline
+    if (state.round) {
+      state.round.awaiting = state.round.awaiting.filter(t => t !== wsTag);
+      const q = state.questions[state.currentIndex];
+      if (Object.keys(state.players).length === 0) {
+        // Everyone left: drop the round, next question starts fresh
+        state.round = null;
+      } else if (state.round.awaiting.length === 0 && !state.paused) {
+        await this.saveState(state);
+        await this.endRound(state);
+        return;
+      } else if (q) {
+        this.toScreens(state, 'round:progress', this.roundProgress(state, q));
+      }
     }
 
     await this.saveState(state);
+    await this.armAlarm(state);
   }
 
   async webSocketError(_ws: WebSocket): Promise<void> {
     // handled via close
   }
 
-  // ── Alarm (question timer OR post-game cleanup) ──────────────────────
+  // ── Alarm (question timer, rejoin windows, host grace, homework deadline,
+  //    media wait, post-game cleanup) ───────────────────────────────────
+
+  // A room has a single alarm, so it always points at whichever of these is due first
+  private async armAlarm(state: GameState): Promise<void> {
+    const due = [
+      state.round && !state.paused ? state.round.endMs : null,
+      state.hostAwayUntil ?? null,
+      state.homework && !state.homework.closed ? state.homework.deadlineMs : null,
+      state.cleanupAt ?? null,
+      state.mediaWait?.until ?? null,
+      ...Object.values(state.disconnectedPlayers).map(p => p.gone ? null : p.rejoinBy ?? null),
+    ].filter((t): t is number => t !== null);
+    if (due.length) await this.ctx.storage.setAlarm(Math.min(...due));
+    else await this.ctx.storage.deleteAlarm();
+  }
 
   async alarm(): Promise<void> {
     const state = await this.getState();
     if (!state) return;
+    const now = Date.now();
 
-    // Post-game cleanup alarm (state.round is null, game is over)
-    if (!state.round) {
+    // Finished room: game over a minute ago, or homework results kept long enough.
+    // Rooms that finished before cleanupAt existed go on their first alarm.
+    const legacyFinished = !state.cleanupAt && (state.homework ? state.homework.closed : !state.started && state.currentIndex >= 0);
+    if ((state.cleanupAt && now >= state.cleanupAt) || legacyFinished) {
       await this.ctx.storage.deleteAll();
       this._state = null;
       return;
     }
 
-    if (state.paused) return;
-    await this.endRound(state);
+    // Host never came back
+    if (state.hostAwayUntil && now >= state.hostAwayUntil) {
+      this.broadcast('game:cancelled', { reason: 'Host disconnected' });
+      await this.ctx.storage.deleteAll();
+      this._state = null;
+      return;
+    }
+
+    if (state.homework && !state.homework.closed && now >= state.homework.deadlineMs) {
+      await this.closeHomework(state);
+      return;
+    }
+
+    await this.releaseSeats(state, now);
+
+    // Media took too long to load everywhere: start the question anyway
+    if (state.mediaWait && now >= state.mediaWait.until) {
+      await this.startQuestion(state, false);
+      return;
+    }
+
+    if (state.round && !state.paused && now >= state.round.endMs) {
+      await this.endRound(state);
+      return;
+    }
+    await this.armAlarm(state);
+  }
+
+  // Rejoin windows that ran out. Lobby players simply leave; once the game has
+  // started they stay in the standings but can't come back.
+  private async releaseSeats(state: GameState, now: number): Promise<void> {
+    const expired = Object.values(state.disconnectedPlayers).filter(p => !p.gone && p.rejoinBy && now >= p.rejoinBy);
+    if (!expired.length) return;
+    for (const p of expired) {
+      if (state.started) {
+        p.gone = true;
+        p.rejoinBy = null;
+      } else {
+        delete state.disconnectedPlayers[p.name];
+      }
+    }
+    await this.saveState(state);
+    this.broadcastLobby(state);
   }
 
   // ── Game event handlers ──────────────────────────────────────────────
 
-  private async onHostStart(state: GameState, wsTag: string, payload: any = {}): Promise<void> {
-    if (wsTag !== 'host' || state.started) return;
+  private async onHostStart(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || state.started || state.homework) return;
     state.started = true;
+    // Anyone still waiting to rejoin only left the lobby; they never played
+    state.disconnectedPlayers = {};
     await this.saveState(state);
     this.broadcast('game:started', { title: state.title });
-    await this.startQuestion(state, payload.imageData ?? null);
+    await this.startQuestion(state);
   }
 
   private async onHostPause(state: GameState, wsTag: string): Promise<void> {
     if (wsTag !== 'host' || !state.round || state.paused) return;
+    await this.pauseRound(state);
+  }
+
+  private async pauseRound(state: GameState): Promise<void> {
+    if (!state.round) return;
     state.paused = true;
     const msRemaining = Math.max(0, state.round.endMs - Date.now());
     state.round.msRemaining = msRemaining;
-    await this.ctx.storage.deleteAlarm(); // cancel the active timer
+    await this.armAlarm(state); // the round timer stops; other timers carry on
     await this.saveState(state);
     this.broadcast('game:paused', { msRemaining });
   }
 
+  // Host socket dropped: pause the round and give them a grace period to reattach
+  private async onHostAway(state: GameState): Promise<void> {
+    if (state.round && !state.paused) await this.pauseRound(state);
+    state.hostAwayUntil = Date.now() + HOST_GRACE_MS;
+    await this.armAlarm(state);
+    await this.saveState(state);
+    this.broadcast('host:away', { graceMs: HOST_GRACE_MS });
+  }
+
+  // Everything a teacher needs for grading: each question with its right answer,
+  // final standings, and every recorded answer per question
+  private async resultsExport(state: GameState) {
+    const stored = await this.ctx.storage.list<AnswerRecord[]>({ prefix: 'results:' });
+    const teamName = (id: string | null) => state.teams?.list.find(t => t.id === id)?.name ?? null;
+    // Everyone who played, including players who dropped out before the end
+    const everyone = [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)];
+    return {
+      ok: true,
+      gameId: state.id,
+      title: state.title,
+      exportedAt: Date.now(),
+      questions: state.questions.map((q, i) => ({
+        index: i,
+        text: q.text,
+        type: q.type,
+        correctAnswer: correctAnswerText(q),
+        voided: state.voided?.includes(i) ?? false,
+        answers: stored.get(`results:${i}`) ?? [],
+      })),
+      players: everyone
+        .map(p => ({ name: p.name, score: p.score, team: teamName(p.team) }))
+        .sort((a, b) => b.score - a.score),
+    };
+  }
+
+  // Summary kept after the room is gone: standings plus how each question went
+  private async gameReport(state: GameState): Promise<GameReport> {
+    const results = await this.resultsExport(state);
+    const now = Date.now();
+    return {
+      gameId: state.id,
+      title: state.title,
+      homework: !!state.homework,
+      finishedAt: now,
+      expiresAt: now + reportRetentionMs(this.env),
+      teamLeaderboard: this.getTeamLeaderboard(state),
+      questions: results.questions.map(q => {
+        const answered = q.answers.filter(a => a.responseMs !== null);
+        const scored   = q.correctAnswer !== null;
+        return {
+          index: q.index,
+          text: q.text,
+          type: q.type,
+          correctAnswer: q.correctAnswer,
+          voided: q.voided,
+          answered: answered.length,
+          percentCorrect: !scored ? null
+            : answered.length > 0 ? Math.round((answered.filter(a => a.correct).length / answered.length) * 100) : 0,
+          avgResponseMs: answered.length > 0
+            ? Math.round(answered.reduce((sum, a) => sum + a.responseMs!, 0) / answered.length) : null,
+        };
+      }),
+      players: results.players.map(p => {
+        const mine = results.questions
+          .filter(q => !q.voided)
+          .map(q => q.answers.find(a => a.name === p.name && a.responseMs !== null));
+        return {
+          ...p,
+          correct: mine.filter(a => a?.correct).length,
+          answered: mine.filter(Boolean).length,
+        };
+      }),
+    };
+  }
+
+  // Hand the report to its store, which outlives this room. A failure here
+  // shouldn't stop the game from ending.
+  private async saveReport(state: GameState): Promise<void> {
+    if (!state.hostSecret) return;
+    try {
+      const token = await hostToken(state.hostSecret, state.id, 'report');
+      const store = this.env.REPORTS.get(this.env.REPORTS.idFromName(`${state.id}:${token}`));
+      await store.fetch(new Request('https://report/save', {
+        method:  'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(await this.gameReport(state)),
+      }));
+    } catch { /* the live export still works until cleanup */ }
+  }
+
+  // Close the open question now and reveal with whatever answers are in
+  private async onHostSkip(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || !state.round) return;
+    state.paused = false;
+    await this.endRound(state);
+  }
+
+  // Give the open round more time. A paused round banks it for the resume.
+  private async onHostAddTime(state: GameState, wsTag: string, payload: { seconds?: number }): Promise<void> {
+    if (wsTag !== 'host' || !state.round) return;
+    const seconds = payload.seconds === 30 ? 30 : 10;
+    if (state.paused) state.round.msRemaining = (state.round.msRemaining ?? 0) + seconds * 1000;
+    else state.round.endMs += seconds * 1000;
+    await this.armAlarm(state);
+    await this.saveState(state);
+    const msRemaining = state.paused ? state.round.msRemaining! : Math.max(0, state.round.endMs - Date.now());
+    this.broadcast('round:extended', { endMs: state.round.endMs, msRemaining, paused: state.paused, seconds });
+  }
+
+  // Take the current question out of the scoring (a typo, a wrong key): nobody
+  // gains or loses points for it, and the export marks it void
+  private async onHostVoid(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || state.homework || !state.started || state.currentIndex < 0) return;
+    state.voided ??= [];
+    if (state.voided.includes(state.currentIndex)) return;
+    const wasOpen = !!state.round;
+    await this.undoQuestion(state);
+    state.voided.push(state.currentIndex);
+    await this.saveState(state);
+    await this.armAlarm(state);
+    this.broadcast('question:voided', {
+      index: state.currentIndex,
+      leaderboard: this.getLeaderboard(state),
+      teamLeaderboard: this.getTeamLeaderboard(state),
+    });
+    if (wasOpen) {
+      this.toHost(state, 'host:canAdvance', { canAdvance: true });
+      this.prefetchNext(state);
+    }
+  }
+
+  // Ask the current question again from the top. Whatever it scored the first
+  // time is undone, so nobody is paid twice.
+  private async onHostReask(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || state.homework || !state.started || state.currentIndex < 0) return;
+    await this.undoQuestion(state);
+    state.voided = (state.voided ?? []).filter(i => i !== state.currentIndex);
+    state.currentIndex--; // startQuestion moves on to the same question
+    await this.startQuestion(state, false); // everyone has seen its media already
+  }
+
+  // Close the open round without scoring it, or give back what a revealed one scored.
+  // Safe to repeat: a question that's already been undone has nothing left to give back.
+  private async undoQuestion(state: GameState): Promise<void> {
+    const q = state.questions[state.currentIndex];
+    const key = `results:${state.currentIndex}`;
+    if (state.round) {
+      const { startMs } = state.round;
+      for (const p of Object.values(state.players)) {
+        p.lastCorrect = isScored(q) && answerCredit(q, p) >= 1;
+        p.delta = 0;
+      }
+      await this.ctx.storage.put(key, Object.values(state.players).map(p => answerRecord(q, p, startMs)));
+      state.round  = null;
+      state.paused = false;
+      // Adaptive rooms line up the next question at the end of each round
+      if (state.adaptive) pickNextQuestion(state.questions, state.currentIndex + 1, state.adaptive.level);
+      return;
+    }
+    for (const p of [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)]) {
+      p.score -= p.delta;
+      p.streak = p.streakBefore ?? p.streak;
+      p.delta  = 0;
+    }
+    // Nor does it count towards the difficulty: go back to the level it was asked at
+    if (state.adaptive?.levelBefore !== undefined) {
+      state.adaptive.level = state.adaptive.levelBefore;
+      pickNextQuestion(state.questions, state.currentIndex + 1, state.adaptive.level);
+    }
+    const records = await this.ctx.storage.get<AnswerRecord[]>(key);
+    if (records) await this.ctx.storage.put(key, records.map(r => ({ ...r, points: 0 })));
+  }
+
+  private async onHostController(state: GameState, ack: (data: unknown) => void): Promise<void> {
+    if (!state.hostSecret || state.homework) { ack({ ok: false }); return; }
+    ack({ ok: true, token: await hostToken(state.hostSecret, state.id, 'controller') });
+  }
+
+  // Buttons pressed on a paired phone. Start and Next go through the host screen
+  // when it's connected, so it can call off its own auto-advance countdown.
+  private async onRemoteCommand(state: GameState, wsTag: string, payload: { action?: string; playerName?: string }): Promise<void> {
+    if (wsTag !== 'controller') return;
+    const hostOnline = this.ctx.getWebSockets('host').length > 0;
+    switch (payload.action) {
+      case 'start':
+        if (state.started) return;
+        if (hostOnline) this.toTag('host', 'remote:command', { action: 'start' });
+        else await this.onHostStart(state, 'host');
+        break;
+      case 'next':
+        if (!state.started || state.round) return;
+        if (hostOnline) this.toTag('host', 'remote:command', { action: 'next' });
+        else await this.onHostNext(state, 'host');
+        break;
+      case 'pause':  await this.onHostPause(state, 'host'); break;
+      case 'resume': await this.onHostResume(state, 'host'); break;
+      case 'skip':   await this.onHostSkip(state, 'host'); break;
+      case 'kick':   await this.onHostKickPlayer(state, 'host', payload); break;
+      default: break;
+    }
+  }
+
+  // Host walked away on purpose (e.g. reset the PIN): no grace period
+  private async onHostCancel(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || state.homework) return;
+    // Not the host screen — it has already moved on to its new room
+    for (const tag of [...Object.keys(state.players), 'controller', 'spectator']) {
+      this.toTag(tag, 'game:cancelled', { reason: 'The host closed this game.' });
+    }
+    await this.ctx.storage.deleteAll();
+    this._state = null;
+  }
+
+  // Snapshot for a host that reconnected (or reloaded) or a spectator screen that
+  // just opened: which screen to show, followed by the usual lobby / question /
+  // pause events to rebuild it
+  private onSync(state: GameState, ws: WebSocket, ack: (data: unknown) => void): void {
+    const total = state.questions.length;
+    const phase = !state.started ? (state.currentIndex < 0 ? 'lobby' : 'over')
+      : state.round ? 'question' : 'reveal';
+    ack({
+      ok: true,
+      gameId: state.id,
+      title: state.title,
+      phase,
+      index: state.currentIndex,
+      total,
+      leaderboard: this.getLeaderboard(state),
+      teamLeaderboard: this.getTeamLeaderboard(state),
+    });
+
+    this.broadcastLobby(state);
+    if (phase === 'over') {
+      this.send(ws, 'game:over', { leaderboard: this.getLeaderboard(state), teamLeaderboard: this.getTeamLeaderboard(state) });
+    }
+    if (state.hostAwayUntil) this.send(ws, 'host:away', { graceMs: state.hostAwayUntil - Date.now() });
+    if (this.tag(ws) === 'host') {
+      for (const request of Object.values(state.pending ?? {})) this.send(ws, 'join:request', { name: request.name });
+    }
+    if (phase === 'lobby' || phase === 'reveal') this.sendPrefetch(state, this.tag(ws));
+    if (phase !== 'question' || !state.round) return;
+    const q = state.questions[state.currentIndex];
+    const msLeft = state.paused ? (state.round.msRemaining ?? 0) : Math.max(0, state.round.endMs - Date.now());
+    this.send(ws, 'question:show', safeQuestion(state, q, state.currentIndex, total, Math.max(1, Math.round(msLeft / 1000))));
+    this.send(ws, 'round:progress', this.roundProgress(state, q));
+    if (this.tag(ws) === 'controller') this.send(ws, 'remote:answer', answerKey(q));
+    if (state.paused) this.send(ws, 'game:paused', { msRemaining: msLeft });
+  }
+
   private async onHostResume(state: GameState, wsTag: string): Promise<void> {
     if (wsTag !== 'host' || !state.round || !state.paused) return;
     const msRemaining = state.round.msRemaining ?? 5000;
     state.paused = false;
     state.round.endMs = Date.now() + msRemaining;
     state.round.msRemaining = undefined;
-    await this.ctx.storage.setAlarm(state.round.endMs);
+    await this.armAlarm(state);
     await this.saveState(state);
     this.broadcast('game:resumed', { msRemaining });
   }
 
-  private async onHostNext(state: GameState, wsTag: string, payload: any = {}): Promise<void> {
-    if (wsTag !== 'host') return;
-    await this.startQuestion(state, payload.imageData ?? null);
+  private async onHostNext(state: GameState, wsTag: string): Promise<void> {
+    if (wsTag !== 'host' || state.homework) return;
+    await this.startQuestion(state);
   }
 
   private async onPlayerJoin(
     state: GameState,
     wsTag: string,
     ws: WebSocket,
-    payload: { gameId?: string; name?: string; rejoinToken?: string },
+    payload: { gameId?: string; name?: string; rejoinToken?: string; team?: string; password?: string },
     ack: (data: unknown) => void,
   ): Promise<void> {
+    if (!wsTag.startsWith('player-')) { ack({ ok: false, error: 'Only players can join.' }); return; }
     if (!payload.name) { ack({ ok: false, error: 'Name required.' }); return; }
 
-    const safeName = sanitizeName(payload.name);
-    if (!safeName) { ack({ ok: false, error: 'Invalid name.' }); return; }
+    const safeName = sanitizeName(payload.name, this.blockedWords(state));
+    if (!safeName) { ack({ ok: false, error: 'That name isn\u2019t allowed \u2014 please pick another.' }); return; }
+    if (state.homework?.closed) { ack({ ok: false, error: 'This homework is closed.' }); return; }
+    if (this.isBanned(state, safeName, payload.rejoinToken)) {
+      ack({ ok: false, error: 'The host has removed you from this game.' });
+      return;
+    }
 
-    if (state.started) {
-      const disc = state.disconnectedPlayers[safeName];
-      if (!disc) {
-        ack({ ok: false, error: 'Game already started.' });
+    // Returning players rejoin by name within the window — homework players may pick up days later
+    const disc = state.disconnectedPlayers[safeName];
+    if (disc) {
+      if (disc.gone) {
+        ack({ ok: false, error: 'You were away too long to rejoin this game.' });
         return;
       }
       // Validate rejoin token (skip for legacy players without token)
@@ -387,73 +1560,240 @@ export class GameRoom {
       }
       // Rejoin
       delete state.disconnectedPlayers[safeName];
-      state.players[wsTag] = { ...disc };
+      state.players[wsTag] = { ...disc, rejoinBy: null };
       await this.saveState(state);
-      ack({ ok: true, gameId: state.id, title: state.title, reconnected: true, rejoinToken: disc.rejoinToken });
+      await this.armAlarm(state);
+      ack({
+        ok: true, gameId: state.id, title: state.title, reconnected: true, rejoinToken: disc.rejoinToken,
+        team: disc.team ?? null, teams: state.teams ? { mode: state.teams.mode, list: state.teams.list } : null,
+        homework: this.homeworkInfo(state, disc),
+      });
+      this.sendPrefetch(state, wsTag, state.players[wsTag]);
+      if (state.homework) {
+        this.toHost(state, 'homework:results', this.homeworkResults(state));
+        return;
+      }
+      if (!state.started) {
+        this.broadcastLobby(state);
+        return;
+      }
       this.send(ws, 'game:started', { title: state.title });
+      if (state.hostAwayUntil) this.send(ws, 'host:away', { graceMs: state.hostAwayUntil - Date.now() });
+      // Back before the reveal without having answered: the round waits for them again
+      if (state.round && state.players[wsTag].answeredAtMs === null) await this.rejoinRound(state, wsTag, ws);
       this.broadcastLobby(state);
       return;
     }
-
-    if (Object.keys(state.players).length >= 100) {
-      ack({ ok: false, error: 'Game is full.' });
+    // New players from here on: the room's own rules first
+    if (state.locked) {
+      ack({ ok: false, error: 'The host has locked this room.' });
+      return;
+    }
+    if (state.passwordHash && await roomPasswordHash(state.id, String(payload.password ?? '')) !== state.passwordHash) {
+      ack({ ok: false, error: payload.password ? 'Wrong room password.' : 'This room needs a password.', needsPassword: true });
+      return;
+    }
+    const refusal = this.joinRefusal(state, safeName, wsTag);
+    if (refusal) {
+      ack({ ok: false, error: refusal });
       return;
     }
 
-    // Don't allow duplicate names in lobby
-    const nameTaken = Object.values(state.players).some(p => p.name === safeName);
-    if (nameTaken) {
-      ack({ ok: false, error: 'Name already taken.' });
+    // Waiting room: the player holds here until the host lets them in
+    if (state.waitingRoom) {
+      state.pending ??= {};
+      state.pending[wsTag] = { name: safeName, team: payload.team ?? null };
+      await this.saveState(state);
+      ack({ ok: true, pending: true, gameId: state.id, title: state.title });
+      this.toHost(state, 'join:request', { name: safeName });
       return;
     }
+    await this.admitPlayer(state, wsTag, ws, safeName, payload.team ?? null, ack);
+  }
+
+  // Why a new player can't take a seat right now, or null if they can
+  private joinRefusal(state: GameState, name: string, wsTag: string): string | null {
+    if (state.started && !state.lateJoin) return 'Game already started.';
+    // Homework rooms count everyone who has joined, online or not
+    const joined = Object.keys(state.players).length +
+      (state.homework ? Object.keys(state.disconnectedPlayers).length : 0);
+    if (joined >= 100) return 'Game is full.';
+    // Don't allow duplicate names in lobby, including anyone still in the waiting room
+    const nameTaken = Object.values(state.players).some(p => p.name === name) ||
+      Object.entries(state.pending ?? {}).some(([tag, r]) => r.name === name && tag !== wsTag);
+    if (nameTaken) return 'Name already taken.';
+    return null;
+  }
+
+  private async admitPlayer(
+    state: GameState,
+    wsTag: string,
+    ws: WebSocket,
+    safeName: string,
+    teamChoice: string | null,
+    reply: (data: unknown) => void,
+  ): Promise<void> {
+    // Players pick a team in 'choose' mode (falling back to the smallest), otherwise auto-balance
+    let team: string | null = null;
+    if (state.teams) {
+      const chosen = state.teams.mode === 'choose' && state.teams.list.some(t => t.id === teamChoice);
+      team = chosen ? teamChoice! : this.smallestTeam(state);
+    }
+
+    // Late joiners start on zero, or level with whoever is last
+    const late   = state.started;
+    const scores = Object.values(state.players).map(p => p.score);
+    const startScore = late && state.lateJoin === 'lowest' && scores.length ? Math.min(...scores) : 0;
 
     const rejoinToken = crypto.randomUUID();
     state.players[wsTag] = {
       name: safeName,
-      score: 0,
+      score: startScore,
       answeredAtMs: null,
       selectedOptionId: null,
+      selectedOptionIds: null,
+      textAnswer: null,
+      orderAnswer: null,
+      numberAnswer: null,
       lastCorrect: false,
       delta: 0,
       streak: 0,
       rejoinToken,
+      team,
+      hw: state.homework ? { index: -1, endMs: null, correct: 0, finished: false } : null,
     };
     await this.saveState(state);
-    ack({ ok: true, gameId: state.id, title: state.title, questionCount: state.questions.length, rejoinToken });
+    reply({
+      ok: true, gameId: state.id, title: state.title, questionCount: state.questions.length, rejoinToken,
+      team, teams: state.teams ? { mode: state.teams.mode, list: state.teams.list } : null,
+      homework: this.homeworkInfo(state, state.players[wsTag]), late,
+    });
+    this.sendPrefetch(state, wsTag, state.players[wsTag]);
+    if (late) {
+      await this.catchUpLateJoiner(state, wsTag, ws);
+      return;
+    }
+    if (state.homework) {
+      this.toHost(state, 'homework:results', this.homeworkResults(state));
+      return;
+    }
+    // The big screen preloads the first question too; it doesn't sync in the lobby
+    this.sendPrefetch(state, 'host');
+    this.sendPrefetch(state, 'spectator');
     this.broadcastLobby(state);
   }
 
+  // Waiting room verdict. Letting someone in re-checks the room, which may have
+  // filled up (or seen their name taken) while they waited.
+  private async onHostAdmit(state: GameState, wsTag: string, payload: { name?: string; allow?: boolean }): Promise<void> {
+    if (wsTag !== 'host') return;
+    const entry = Object.entries(state.pending ?? {}).find(([, r]) => r.name === payload.name);
+    if (!entry) return;
+    const [playerTag, request] = entry;
+    delete state.pending![playerTag];
+    const ws = this.ctx.getWebSockets(playerTag)[0];
+    const refusal = !payload.allow ? 'The host didn\u2019t let you in.' : this.joinRefusal(state, request.name, playerTag);
+    if (!ws || refusal) {
+      await this.saveState(state);
+      this.toTag(playerTag, 'join:denied', { error: refusal });
+      return;
+    }
+    await this.admitPlayer(state, playerTag, ws, request.name, request.team, data => this.send(ws, 'join:approved', data));
+  }
+
+  private async onHostLock(state: GameState, wsTag: string, payload: { locked?: boolean }): Promise<void> {
+    if (wsTag !== 'host') return;
+    state.locked = !!payload.locked;
+    await this.saveState(state);
+    this.broadcastLobby(state);
+  }
+
+  // Drop a late joiner into the open round, or leave them waiting for the next question
+  private async catchUpLateJoiner(state: GameState, wsTag: string, ws: WebSocket): Promise<void> {
+    const p = state.players[wsTag];
+    if (state.round) {
+      this.send(ws, 'game:started', { title: state.title });
+      await this.rejoinRound(state, wsTag, ws);
+    }
+    this.toHost(state, 'player:lateJoin', { name: p.name, score: p.score, team: p.team });
+    this.broadcastLobby(state);
+  }
+
+  // Put a player into the open round: the round waits for them, and they get the
+  // question with whatever time is left
+  private async rejoinRound(state: GameState, wsTag: string, ws: WebSocket): Promise<void> {
+    const q = state.questions[state.currentIndex];
+    if (!state.round || !q) return;
+    state.round.awaiting.push(wsTag);
+    await this.saveState(state);
+    const msLeft = state.paused ? (state.round.msRemaining ?? 0) : state.round.endMs - Date.now();
+    this.send(ws, 'question:show',
+      safeQuestion(state, q, state.currentIndex, state.questions.length, Math.max(1, Math.round(msLeft / 1000))));
+    if (state.paused) this.send(ws, 'game:paused', { msRemaining: msLeft });
+    this.toScreens(state, 'round:progress', this.roundProgress(state, q));
+  }
+
   private async onPlayerAnswer(
     state: GameState,
     wsTag: string,
-    payload: { gameId?: string; questionId?: string; optionId?: string },
+    payload: { gameId?: string; questionId?: string; optionId?: string; optionIds?: string[]; text?: string; value?: number },
   ): Promise<void> {
-    if (!state.round || state.paused) return;
     const p = state.players[wsTag];
     if (!p) return;
+    // Homework answers are checked against the player's own timer instead of the shared round
+    const hw = state.homework ? p.hw : null;
+    if (state.homework) {
+      if (!hw || hw.endMs === null || Date.now() > hw.endMs + HOMEWORK_CLOCK_SLACK_MS) return;
+    } else if (!state.round || state.paused) return;
 
-    const q = state.questions[state.currentIndex];
+    const q = state.questions[hw ? hw.index : state.currentIndex];
     if (!q || q.id !== payload.questionId) return;
-    if (p.selectedOptionId !== null) return; // already answered
-
-    // Validate optionId belongs to this question
-    const optionId = payload.optionId ?? null;
-    if (!optionId || !q.options.some(opt => opt.id === optionId)) return;
+    if (p.answeredAtMs !== null) return; // already answered
+
+    if (q.type === 'text' || q.type === 'wordcloud') {
+      const maxLen = q.type === 'wordcloud' ? 30 : 100;
+      const text = typeof payload.text === 'string' ? payload.text.trim().slice(0, maxLen) : '';
+      if (!text) return;
+      p.textAnswer = text;
+      this.toTag(wsTag, 'player:locked', { text });
+    } else if (q.type === 'order') {
+      // Must be a full permutation of this question's option IDs
+      const ids = Array.isArray(payload.optionIds) ? payload.optionIds : [];
+      if (ids.length !== q.options.length || new Set(ids).size !== ids.length) return;
+      if (!ids.every(id => q.options.some(opt => opt.id === id))) return;
+      p.orderAnswer = [...ids];
+      this.toTag(wsTag, 'player:locked', { optionIds: p.orderAnswer });
+    } else if (q.type === 'number') {
+      const value = payload.value;
+      if (typeof value !== 'number' || !Number.isFinite(value) || !q.range) return;
+      p.numberAnswer = Math.max(q.range.min, Math.min(q.range.max, value));
+      this.toTag(wsTag, 'player:locked', { value: p.numberAnswer });
+    } else if (q.multiSelect) {
+      // One submission with every picked option, no duplicates
+      const ids = Array.isArray(payload.optionIds) ? payload.optionIds : [];
+      if (ids.length === 0 || new Set(ids).size !== ids.length) return;
+      if (!ids.every(id => q.options.some(opt => opt.id === id))) return;
+      p.selectedOptionIds = [...ids];
+      this.toTag(wsTag, 'player:locked', { optionIds: p.selectedOptionIds });
+    } else {
+      // Choice and poll: optionId must belong to this question
+      const optionId = payload.optionId ?? null;
+      if (!optionId || !q.options.some(opt => opt.id === optionId)) return;
+      p.selectedOptionId = optionId;
+      this.toTag(wsTag, 'player:locked', { optionId });
+    }
 
-    p.selectedOptionId = optionId;
     p.answeredAtMs = Date.now();
-    state.round.awaiting = state.round.awaiting.filter(t => t !== wsTag);
-
-    // Confirm lock to the player
-    this.toTag(wsTag, 'player:locked', { optionId: payload.optionId });
+    if (hw) {
+      await this.finishHomeworkQuestion(state, wsTag, p);
+      return;
+    }
+    state.round!.awaiting = state.round!.awaiting.filter(t => t !== wsTag);
 
-    // Progress to host
-    const answeredCount = Object.values(state.players).filter(pl => pl.selectedOptionId !== null).length;
-    this.toHost(state, 'round:progress', { answeredCount, totalCount: Object.keys(state.players).length });
+    this.toScreens(state, 'round:progress', this.roundProgress(state, q));
 
     // End early if all answered
-    if (state.round.awaiting.length === 0) {
-      await this.ctx.storage.deleteAlarm();
+    if (state.round!.awaiting.length === 0) {
       await this.saveState(state);
       await this.endRound(state);
     } else {
@@ -461,24 +1801,164 @@ export class GameRoom {
     }
   }
 
+  // ── Media prefetch ───────────────────────────────────────────────────
+  // While the standings are up, clients load the next question's media and
+  // players report back, so the question opens with its image decoded and its
+  // clip buffered.
+
+  private prefetchFor(state: GameState, index: number) {
+    const q = state.questions[index];
+    if (!q) return null;
+    const media = questionMedia(state, q);
+    if (!Object.values(media).some(Boolean)) return null;
+    return { index, ...media, clipsOnDevices: !!(state.clipsOnDevices || state.homework) };
+  }
+
+  private prefetchNext(state: GameState): void {
+    const hint = this.prefetchFor(state, state.currentIndex + 1);
+    if (hint) this.broadcast('question:prefetch', hint);
+  }
+
+  // For a socket that missed the broadcast. Homework players each have their own next question.
+  private sendPrefetch(state: GameState, wsTag: string, p?: Player): void {
+    const open = p?.hw ? p.hw.endMs !== null : !!state.round;
+    const hint = open ? null : this.prefetchFor(state, p?.hw ? p.hw.index + 1 : state.currentIndex + 1);
+    if (hint) this.toTag(wsTag, 'question:prefetch', hint);
+  }
+
+  private mediaProgress(state: GameState, index: number) {
+    const online = Object.keys(state.players);
+    const tags = state.mediaReady?.index === index ? state.mediaReady.tags : [];
+    return { index, ready: online.filter(tag => tags.includes(tag)).length, total: online.length };
+  }
+
+  private mediaReadyEnough(state: GameState, index: number): boolean {
+    const { ready, total } = this.mediaProgress(state, index);
+    return ready >= Math.ceil(total * MEDIA_READY_SHARE);
+  }
+
+  private async onMediaReady(state: GameState, wsTag: string, payload: { index?: number }): Promise<void> {
+    if (!state.players[wsTag] || state.homework || payload.index !== state.currentIndex + 1) return;
+    if (state.mediaReady?.index !== payload.index) state.mediaReady = { index: payload.index, tags: [] };
+    if (state.mediaReady.tags.includes(wsTag)) return;
+    state.mediaReady.tags.push(wsTag);
+    if (state.mediaWait && this.mediaReadyEnough(state, payload.index)) {
+      await this.startQuestion(state);
+      return;
+    }
+    await this.saveState(state);
+    if (state.mediaWait) this.toScreens(state, 'question:loading', this.mediaProgress(state, payload.index));
+  }
+
+  // ── Moderation ───────────────────────────────────────────────────────
+
+  private blockedWords(state: GameState): string[] {
+    return [...blockedWordList(this.env), ...(state.blockedWords ?? [])];
+  }
+
+  // Banned by name (case and look-alikes folded, so "B0b" is "bob") or by the rejoin token they hold
+  private isBanned(state: GameState, name: string, token?: string): boolean {
+    if (!state.banned) return false;
+    return state.banned.names.includes(foldForFilter(name)) || (!!token && state.banned.tokens.includes(token));
+  }
+
+  // Remove a player at any point in the game, online or not. A ban also stops
+  // them coming back under that name or from the same browser session.
   private async onHostKickPlayer(
     state: GameState,
     wsTag: string,
-    payload: { playerName?: string },
+    payload: { playerName?: string; ban?: boolean },
   ): Promise<void> {
-    if (wsTag !== 'host' || state.started) return;
+    if (wsTag !== 'host') return;
     const name = payload.playerName;
     if (!name) return;
     const entry = Object.entries(state.players).find(([, p]) => p.name === name);
-    if (!entry) return;
-    const [playerTag] = entry;
-    // Notify and disconnect the player
-    this.toTag(playerTag, 'player:kicked', { reason: 'You were removed from the game by the host.' });
-    for (const ws of this.ctx.getWebSockets(playerTag)) {
-      try { ws.close(1000, 'Removed by host'); } catch {}
+    const player = entry?.[1] ?? state.disconnectedPlayers[name];
+    if (!player) return;
+
+    if (payload.ban) {
+      state.banned ??= { names: [], tokens: [] };
+      state.banned.names.push(foldForFilter(name));
+      if (player.rejoinToken) state.banned.tokens.push(player.rejoinToken);
     }
-    delete state.players[playerTag];
+    delete state.disconnectedPlayers[name];
+
+    if (entry) {
+      const [playerTag] = entry;
+      // Notify and disconnect the player
+      this.toTag(playerTag, 'player:kicked', { reason: 'You were removed from the game by the host.', banned: !!payload.ban });
+      for (const ws of this.ctx.getWebSockets(playerTag)) {
+        try { ws.close(1000, 'Removed by host'); } catch {}
+      }
+      delete state.players[playerTag];
+      // The open round stops waiting on them
+      if (state.round) {
+        state.round.awaiting = state.round.awaiting.filter(t => t !== playerTag);
+        if (state.round.awaiting.length === 0 && !state.paused && Object.keys(state.players).length > 0) {
+          await this.saveState(state);
+          this.broadcastLobby(state);
+          await this.endRound(state);
+          return;
+        }
+        const q = state.questions[state.currentIndex];
+        if (q) this.toScreens(state, 'round:progress', this.roundProgress(state, q));
+      }
+    }
+
     await this.saveState(state);
+    await this.armAlarm(state);
+    this.broadcastLobby(state);
+    if (state.homework) this.toHost(state, 'homework:results', this.homeworkResults(state));
+  }
+
+  // Give a player a new name everywhere: standings, lobby and the answers already recorded
+  private async onHostRenamePlayer(
+    state: GameState,
+    wsTag: string,
+    payload: { playerName?: string; newName?: string },
+    ack: (data: unknown) => void,
+  ): Promise<void> {
+    if (wsTag !== 'host') { ack({ ok: false }); return; }
+    const oldName = payload.playerName ?? '';
+    const newName = sanitizeName(payload.newName ?? '', this.blockedWords(state));
+    if (!newName) { ack({ ok: false, error: 'That name isn\u2019t allowed.' }); return; }
+    const entry  = Object.entries(state.players).find(([, p]) => p.name === oldName);
+    const player = entry?.[1] ?? state.disconnectedPlayers[oldName];
+    if (!player) { ack({ ok: false, error: 'Player not found.' }); return; }
+    if (newName === oldName) { ack({ ok: true, name: newName }); return; }
+    const taken = Object.values(state.players).some(p => p.name === newName) || !!state.disconnectedPlayers[newName];
+    if (taken) { ack({ ok: false, error: 'Name already taken.' }); return; }
+
+    player.name = newName;
+    if (!entry) {
+      delete state.disconnectedPlayers[oldName];
+      state.disconnectedPlayers[newName] = player;
+    }
+    // Answers recorded so far follow the new name into the export and report
+    const stored = await this.ctx.storage.list<AnswerRecord[]>({ prefix: 'results:' });
+    for (const [key, records] of stored) {
+      if (!records.some(r => r.name === oldName)) continue;
+      await this.ctx.storage.put(key, records.map(r => r.name === oldName ? { ...r, name: newName } : r));
+    }
+    await this.saveState(state);
+    ack({ ok: true, name: newName });
+    if (entry) this.toTag(entry[0], 'player:renamed', { name: newName });
+    this.broadcastLobby(state);
+    if (state.homework) this.toHost(state, 'homework:results', this.homeworkResults(state));
+  }
+
+  private async onPlayerChooseTeam(
+    state: GameState,
+    wsTag: string,
+    payload: { team?: string },
+  ): Promise<void> {
+    if (state.started || state.teams?.mode !== 'choose') return;
+    const p = state.players[wsTag];
+    if (!p || !state.teams.list.some(t => t.id === payload.team)) return;
+    if (p.hw && p.hw.index >= 0) return; // homework teams are fixed once a player starts
+    p.team = payload.team!;
+    await this.saveState(state);
+    this.toTag(wsTag, 'player:team', { team: p.team });
     this.broadcastLobby(state);
   }
 
@@ -492,12 +1972,154 @@ export class GameRoom {
     if (!p) return;
     const allowed = ['👏', '🔥', '😂', '💀', '🎉', '🤯'];
     if (!allowed.includes(payload.emoji ?? '')) return;
-    this.toHost(state, 'reaction:received', { name: p.name, emoji: payload.emoji });
+    this.toScreens(state, 'reaction:received', { name: p.name, emoji: payload.emoji });
+  }
+
+  // ── Homework (self-paced) ─────────────────────────────────────────────
+
+  // Questions a player has finished (an open question doesn't count yet)
+  private homeworkDone(p: Player, total: number): number {
+    if (!p.hw || p.hw.index < 0) return 0;
+    if (p.hw.finished) return total;
+    return p.hw.endMs !== null || p.hw.expired ? p.hw.index : p.hw.index + 1;
+  }
+
+  private homeworkInfo(state: GameState, p: Player) {
+    if (!state.homework) return null;
+    const total = state.questions.length;
+    return { deadlineMs: state.homework.deadlineMs, total, done: this.homeworkDone(p, total), finished: !!p.hw?.finished };
+  }
+
+  // Host results board: everyone who has joined, online or not
+  private homeworkResults(state: GameState) {
+    if (!state.homework) return null;
+    const total = state.questions.length;
+    const rows = [
+      ...Object.values(state.players).map(p => ({ p, online: true })),
+      ...Object.values(state.disconnectedPlayers).map(p => ({ p, online: false })),
+    ];
+    return {
+      gameId: state.id,
+      title: state.title,
+      deadlineMs: state.homework.deadlineMs,
+      closed: state.homework.closed,
+      total,
+      players: rows
+        .map(({ p, online }) => ({
+          name: p.name, score: p.score, done: this.homeworkDone(p, total), correct: p.hw?.correct ?? 0,
+          finished: !!p.hw?.finished, online, team: p.team ?? null,
+        }))
+        .sort((a, b) => b.score - a.score),
+    };
+  }
+
+  // Start the player's next question, or resend the open one after a refresh
+  private async onHomeworkNext(state: GameState, wsTag: string): Promise<void> {
+    if (!state.homework || state.homework.closed) return;
+    const p = state.players[wsTag];
+    const hw = p?.hw;
+    if (!hw || hw.finished) return;
+
+    if (hw.endMs !== null) {
+      if (p.answeredAtMs === null && Date.now() < hw.endMs - HOMEWORK_CLOCK_SLACK_MS) {
+        this.sendHomeworkQuestion(state, wsTag, p);
+      } else {
+        await this.finishHomeworkQuestion(state, wsTag, p);
+      }
+      return;
+    }
+
+    if (hw.index + 1 >= state.questions.length) {
+      hw.finished = true;
+      await this.saveState(state);
+      this.toTag(wsTag, 'game:over', { leaderboard: this.getLeaderboard(state), teamLeaderboard: this.getTeamLeaderboard(state) });
+      this.toHost(state, 'homework:results', this.homeworkResults(state));
+      return;
+    }
+
+    hw.index++;
+    resetAnswer(p);
+    hw.endMs = Date.now() + state.questions[hw.index].timeLimitSeconds * 1000;
+    await this.saveState(state);
+    this.sendHomeworkQuestion(state, wsTag, p);
+    this.toHost(state, 'homework:results', this.homeworkResults(state));
+  }
+
+  private sendHomeworkQuestion(state: GameState, wsTag: string, p: Player): void {
+    const hw = p.hw!;
+    const q = state.questions[hw.index];
+    const secondsLeft = Math.max(1, Math.round((hw.endMs! - Date.now()) / 1000));
+    this.toTag(wsTag, 'question:show', safeQuestion(state, q, hw.index, state.questions.length, secondsLeft));
+  }
+
+  // Score the player's open question and show them the answer
+  private async finishHomeworkQuestion(state: GameState, wsTag: string, p: Player): Promise<void> {
+    const hw = p.hw!;
+    const q = state.questions[hw.index];
+    const endMs = hw.endMs ?? Date.now();
+    scorePlayer(q, p, endMs);
+    if (p.lastCorrect) hw.correct++;
+    hw.endMs = null;
+    await this.saveState(state);
+
+    const key = `results:${hw.index}`;
+    const records = ((await this.ctx.storage.get<AnswerRecord[]>(key)) ?? []).filter(r => r.name !== p.name);
+    records.push(answerRecord(q, p, endMs - q.timeLimitSeconds * 1000));
+    await this.ctx.storage.put(key, records);
+
+    this.toTag(wsTag, 'question:reveal', {
+      type: q.type,
+      multiSelect: q.multiSelect,
+      correctOptionIds: q.correctOptionIds,
+      acceptedAnswers: q.acceptedAnswers,
+      correctOrder: q.correctOrder,
+      correctValue: q.correctValue,
+      range: q.range,
+      explanation: q.explanation,
+      sourceUrl: q.sourceUrl,
+      format: state.textFormat ?? 'plain',
+      index: hw.index,
+      total: state.questions.length,
+      leaderboard: this.getLeaderboard(state),
+      teamLeaderboard: this.getTeamLeaderboard(state),
+      homework: true,
+    });
+    this.sendPrefetch(state, wsTag, p);
+    this.toHost(state, 'homework:results', this.homeworkResults(state));
+  }
+
+  // Deadline reached: close the room, keep results for the host a while longer
+  private async closeHomework(state: GameState): Promise<void> {
+    state.homework!.closed = true;
+    // Questions still open at the deadline go unscored
+    for (const p of [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)]) {
+      if (p.hw && p.hw.endMs !== null) { p.hw.endMs = null; p.hw.expired = true; }
+    }
+    await this.saveState(state);
+    this.broadcast('game:over', { leaderboard: this.getLeaderboard(state), teamLeaderboard: this.getTeamLeaderboard(state) });
+    this.toHost(state, 'homework:results', this.homeworkResults(state));
+    await this.saveReport(state);
+    state.cleanupAt = Date.now() + HOMEWORK_RETENTION_MS;
+    await this.saveState(state);
+    await this.armAlarm(state);
   }
 
   // ── Game flow ─────────────────────────────────────────────────────────
 
-  private async startQuestion(state: GameState, imageData?: string | null): Promise<void> {
+  // Move on to the next question. With waitForMedia on, one with media is held
+  // until most players have it loaded; a second Next from the host, or the cap
+  // running out, starts it regardless.
+  private async startQuestion(state: GameState, holdForMedia = true): Promise<void> {
+    const next = state.currentIndex + 1;
+    if (holdForMedia && state.waitForMedia && !state.mediaWait && this.prefetchFor(state, next) && !this.mediaReadyEnough(state, next)) {
+      state.mediaWait = { index: next, until: Date.now() + MEDIA_WAIT_CAP_MS };
+      await this.armAlarm(state);
+      await this.saveState(state);
+      this.toScreens(state, 'question:loading', this.mediaProgress(state, next));
+      return;
+    }
+    const wasHeld = !!state.mediaWait;
+    state.mediaWait = null;
     state.currentIndex++;
 
     if (state.currentIndex >= state.questions.length) {
@@ -509,13 +2131,8 @@ export class GameRoom {
     const startMs = Date.now();
     const endMs = startMs + q.timeLimitSeconds * 1000;
 
-    // Reset per-round player state
-    for (const p of Object.values(state.players)) {
-      p.answeredAtMs = null;
-      p.selectedOptionId = null;
-      p.lastCorrect = false;
-      p.delta = 0;
-    }
+    // Reset per-round player state, including anyone who may rejoin mid-round
+    for (const p of [...Object.values(state.players), ...Object.values(state.disconnectedPlayers)]) resetAnswer(p);
 
     state.paused = false;
     state.round = {
@@ -523,23 +2140,21 @@ export class GameRoom {
       endMs,
       awaiting: Object.keys(state.players),
     };
+    // A held question that comes free while the host is reconnecting starts
+    // paused, as onHostAway would have left it; the host resumes it on return
+    if (wasHeld && state.hostAwayUntil) {
+      state.paused = true;
+      state.round.msRemaining = q.timeLimitSeconds * 1000;
+    }
 
     // Set alarm for end of question
-    await this.ctx.storage.setAlarm(endMs);
+    await this.armAlarm(state);
     await this.saveState(state);
 
-    // Safe question payload — correct answers excluded
-    const safeQ = {
-      id: q.id,
-      index: state.currentIndex,
-      total: state.questions.length,
-      text: q.text,
-      imageUrl: q.imageUrl ?? null,
-      imageData: imageData ?? null,
-      timeLimitSeconds: q.timeLimitSeconds,
-      options: q.options,
-    };
-    this.broadcast('question:show', safeQ);
+    this.broadcast('question:show',
+      safeQuestion(state, q, state.currentIndex, state.questions.length, q.timeLimitSeconds));
+    if (state.paused) this.broadcast('game:paused', { msRemaining: state.round.msRemaining });
+    this.toTag('controller', 'remote:answer', answerKey(q));
   }
 
   private async endRound(state: GameState): Promise<void> {
@@ -547,51 +2162,55 @@ export class GameRoom {
     const q = state.questions[state.currentIndex];
     const { startMs, endMs } = state.round;
 
-    // Score players
-    for (const p of Object.values(state.players)) {
-      const answered  = p.selectedOptionId !== null;
-      const correct   = answered && q.correctOptionIds.includes(p.selectedOptionId!);
-      p.lastCorrect   = correct;
-      let delta = 0;
-      if (correct && p.answeredAtMs !== null) {
-        p.streak += 1;
-        const timeLimit    = q.timeLimitSeconds * 1000;
-        const remaining    = Math.max(0, endMs - p.answeredAtMs);
-        const base         = Math.floor(500 + 500 * (remaining / timeLimit));
-        // Streak multiplier: +10% per streak level above 1, capped at +50%
-        const streakMult   = p.streak >= 2 ? Math.min(1.5, 1.0 + (p.streak - 1) * 0.1) : 1.0;
-        delta = Math.floor(base * streakMult);
-        p.score += delta;
-      } else {
-        p.streak = 0;
-      }
-      p.delta = delta;
-    }
+    for (const p of Object.values(state.players)) scorePlayer(q, p, endMs);
+    await this.ctx.storage.put(`results:${state.currentIndex}`,
+      Object.values(state.players).map(p => answerRecord(q, p, startMs)));
 
-    // Counts per option (same order as q.options)
-    const optionCounts: Record<string, number> = {};
-    for (const opt of q.options) optionCounts[opt.id] = 0;
-    for (const p of Object.values(state.players)) {
-      if (p.selectedOptionId && optionCounts[p.selectedOptionId] !== undefined) {
-        optionCounts[p.selectedOptionId]++;
-      }
-    }
-    const counts = q.options.map(opt => optionCounts[opt.id] ?? 0);
+    const counts = this.optionCounts(state, q);
 
     // Player choices per option (for shame display)
     const playerChoices: Record<string, string[]> = {};
     for (const opt of q.options) playerChoices[opt.id] = [];
     for (const p of Object.values(state.players)) {
-      if (p.selectedOptionId && playerChoices[p.selectedOptionId] !== undefined) {
-        playerChoices[p.selectedOptionId].push(p.name);
+      for (const id of pickedOptions(p)) {
+        if (playerChoices[id] !== undefined) playerChoices[id].push(p.name);
+      }
+    }
+
+    // Typed answers grouped by normalized form, most common first (text questions)
+    const textAnswers: { answer: string; count: number; correct: boolean; names: string[] }[] = [];
+    if (q.type === 'text') {
+      const groups = new Map<string, { answer: string; count: number; correct: boolean; names: string[] }>();
+      for (const p of Object.values(state.players)) {
+        if (!p.textAnswer) continue;
+        const key = normalizeAnswer(p.textAnswer);
+        let g = groups.get(key);
+        if (!g) { g = { answer: p.textAnswer, count: 0, correct: p.lastCorrect, names: [] }; groups.set(key, g); }
+        g.count++;
+        g.names.push(p.name);
       }
+      textAnswers.push(...[...groups.values()].sort((a, b) => b.count - a.count).slice(0, 12));
     }
 
+    // How many players put each item in its right slot (ordering questions, correct sequence)
+    const positionCounts = q.correctOrder.map((id, i) =>
+      Object.values(state.players).filter(p => p.orderAnswer?.[i] === id).length);
+
+    const words = q.type === 'wordcloud' ? wordCloud(Object.values(state.players)) : [];
+
+    // Every estimate, for the host's distribution strip (number questions)
+    const numberGuesses = q.type === 'number'
+      ? Object.values(state.players)
+          .filter(p => p.numberAnswer !== null)
+          .map(p => ({ name: p.name, value: p.numberAnswer!, hit: p.lastCorrect }))
+      : [];
+
     // Review stats
     const vals = Object.values(state.players);
-    const totalAnswered   = vals.filter(p => p.selectedOptionId !== null).length;
+    const totalAnswered   = vals.filter(p => p.answeredAtMs !== null).length;
     const correctAnswered = vals.filter(p => p.lastCorrect).length;
-    const percentCorrect  = totalAnswered > 0 ? Math.round((correctAnswered / totalAnswered) * 100) : 0;
+    const percentCorrect  = !isScored(q) ? null
+      : totalAnswered > 0 ? Math.round((correctAnswered / totalAnswered) * 100) : 0;
 
     let fastestName: string | null = null;
     let fastestMs = Infinity;
@@ -605,29 +2224,58 @@ export class GameRoom {
     const leaderboard = this.getLeaderboard(state);
 
     this.broadcast('question:reveal', {
+      type: q.type,
+      multiSelect: q.multiSelect,
       correctOptionIds: q.correctOptionIds,
+      acceptedAnswers: q.acceptedAnswers,
+      textAnswers,
+      correctOrder: q.correctOrder,
+      positionCounts,
+      correctValue: q.correctValue,
+      range: q.range,
+      numberGuesses,
+      words,
+      explanation: q.explanation,
+      sourceUrl: q.sourceUrl,
+      format: state.textFormat ?? 'plain',
+      answeredCount: totalAnswered,
       index: state.currentIndex,
       total: state.questions.length,
       leaderboard,
+      teamLeaderboard: this.getTeamLeaderboard(state),
       counts,
       playerChoices,
       percentCorrect,
       fastestName,
     });
 
+    // Adaptive: step the level by how the room did, then line up the closest remaining question
+    if (state.adaptive) {
+      state.adaptive.levelBefore = state.adaptive.level;
+      if (percentCorrect !== null && percentCorrect >= ADAPTIVE_RAISE_AT) state.adaptive.level = Math.min(3, state.adaptive.level + 1);
+      if (percentCorrect !== null && percentCorrect <= ADAPTIVE_LOWER_AT) state.adaptive.level = Math.max(1, state.adaptive.level - 1);
+      pickNextQuestion(state.questions, state.currentIndex + 1, state.adaptive.level);
+    }
+
     state.round = null;
     await this.saveState(state);
+    await this.armAlarm(state);
 
-    // Tell host they can advance
+    // Tell host they can advance, and players to start loading what's next
     this.toHost(state, 'host:canAdvance', { canAdvance: true });
+    this.prefetchNext(state);
   }
 
   private async endGame(state: GameState): Promise<void> {
     const leaderboard = this.getLeaderboard(state);
-    this.broadcast('game:over', { leaderboard });
+    this.broadcast('game:over', { leaderboard, teamLeaderboard: this.getTeamLeaderboard(state) });
     // Keep state for a short while so stragglers can receive game:over, then clean up
-    await this.ctx.storage.setAlarm(Date.now() + 60_000);
+    state.cleanupAt = Date.now() + 60_000;
     state.started = false; // prevents re-entry
+    // Nobody is coming back to a finished game
+    for (const p of Object.values(state.disconnectedPlayers)) p.rejoinBy = null;
     await this.saveState(state);
+    await this.armAlarm(state);
+    await this.saveReport(state);
   }
 }
@@ -0,0 +1,76 @@
+// worker/src/ReportStore.ts
+// Durable Object — one instance per finished game, holding its report after the
+// game room itself has been deleted. Instances are named `${gameId}:${reportToken}`,
+// so only someone holding the token (or the host secret it derives from) can
+// reach one. Each deletes itself when the retention period runs out.
+
+import type { Env } from './GameRoom';
+
+// ── Types ─────────────────────────────────────────────────────────────────
+
+export interface ReportQuestion {
+  index: number;
+  text: string;
+  type: string;
+  correctAnswer: string | null;
+  voided: boolean;               // taken out of the scoring by the host
+  answered: number;
+  percentCorrect: number | null; // null = poll / word cloud
+  avgResponseMs: number | null;  // null = nobody answered
+}
+
+export interface ReportPlayer {
+  name: string;
+  score: number;
+  team: string | null;
+  correct: number;
+  answered: number;
+}
+
+export interface GameReport {
+  gameId: string;
+  title: string;
+  homework: boolean;
+  finishedAt: number;
+  expiresAt: number;
+  teamLeaderboard: { id: string; name: string; size: number; score: number }[] | null;
+  questions: ReportQuestion[];
+  players: ReportPlayer[]; // sorted by score
+}
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days to keep a report, from the REPORT_RETENTION_DAYS var (1–365)
+export function reportRetentionMs(env: Env): number {
+  const days = Number(env.REPORT_RETENTION_DAYS);
+  const clamped = Number.isFinite(days) && days > 0 ? Math.min(days, 365) : DEFAULT_RETENTION_DAYS;
+  return clamped * 24 * 60 * 60 * 1000;
+}
+
+// ── Durable Object ────────────────────────────────────────────────────────
+
+export class ReportStore {
+  constructor(
+    private readonly ctx: DurableObjectState,
+    private readonly env: Env,
+  ) {}
+
+  async fetch(request: Request): Promise<Response> {
+    // Saved by the game room when the game ends (or homework closes)
+    if (request.method === 'PUT') {
+      const report = await request.json() as GameReport;
+      await this.ctx.storage.put('report', report);
+      await this.ctx.storage.setAlarm(report.expiresAt);
+      return Response.json({ ok: true });
+    }
+
+    const report = await this.ctx.storage.get<GameReport>('report');
+    if (!report) return Response.json({ ok: false, error: 'Report not found.' }, { status: 404 });
+    return Response.json({ ok: true, report });
+  }
+
+  // Retention over
+  async alarm(): Promise<void> {
+    await this.ctx.storage.deleteAll();
+  }
+}
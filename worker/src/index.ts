@@ -1,8 +1,9 @@
 // worker/src/index.ts
 // Cloudflare Worker entry — routes HTTP + WebSocket connections to GameRoom DOs.
 
-import { GameRoom, Env } from './GameRoom';
-export { GameRoom };
+import { GameRoom, Env, hostToken } from './GameRoom';
+import { ReportStore } from './ReportStore';
+export { GameRoom, ReportStore };
 
 // ── ID generation ─────────────────────────────────────────────────────────
 // 6 chars from unambiguous alphabet (no 0/O/1/I/L) → 30^6 ≈ 729M combinations
@@ -16,29 +17,114 @@ function generateGameId(): string {
 
 // ── Quiz validation ───────────────────────────────────────────────────────
 
+// Optional scoring block, allowed on the quiz and on each question
+function validScoring(s: any): boolean {
+  if (s === undefined || s === null) return true;
+  if (typeof s !== 'object') return false;
+  const inRange = (v: unknown, min: number, max: number) =>
+    v === undefined || (typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max);
+  if (!inRange(s.multiplier, 0, 3)) return false;
+  if (!inRange(s.streakCap, 1, 3)) return false;
+  if (!inRange(s.wrongPenalty, 0, 1000)) return false;
+  if (s.speedBonus !== undefined && typeof s.speedBonus !== 'boolean') return false;
+  return true;
+}
+
 function validateQuiz(payload: unknown): boolean {
   if (!payload || typeof payload !== 'object') return false;
   const p = payload as any;
   if (!Array.isArray(p.questions) || p.questions.length === 0) return false;
   if (p.questions.length > 50) return false; // max 50 questions
   if (typeof p.title !== 'string' || !p.title.trim()) return false;
-  // Validate imageRef paths: must be a simple filename, no path traversal
+  if (!validScoring(p.scoring)) return false;
+  // Optional team mode: { mode: 'auto' | 'choose', count: 2–6, scoring: 'sum' | 'average' }
+  if (p.teams !== undefined && p.teams !== null) {
+    if (typeof p.teams !== 'object') return false;
+    if (!['auto', 'choose'].includes(p.teams.mode)) return false;
+    if (!Number.isInteger(p.teams.count) || p.teams.count < 2 || p.teams.count > 6) return false;
+    if (p.teams.scoring !== undefined && !['sum', 'average'].includes(p.teams.scoring)) return false;
+  }
+  if (p.lateJoin !== undefined && p.lateJoin !== null && !['zero', 'lowest'].includes(p.lateJoin)) return false;
+  if (p.adaptive !== undefined && typeof p.adaptive !== 'boolean') return false;
+  if (p.waitingRoom !== undefined && typeof p.waitingRoom !== 'boolean') return false;
+  if (p.waitForMedia !== undefined && typeof p.waitForMedia !== 'boolean') return false;
+  if (p.clipsOnDevices !== undefined && typeof p.clipsOnDevices !== 'boolean') return false;
+  if (p.textFormat !== undefined && !['plain', 'markdown'].includes(p.textFormat)) return false;
+  // Optional room password (kept hashed by the room)
+  if (p.password !== undefined && p.password !== null && (typeof p.password !== 'string' || p.password.length > 64)) return false;
+  // Optional per-room deny list for player names: up to 200 words
+  if (p.blockedWords !== undefined && p.blockedWords !== null) {
+    if (!Array.isArray(p.blockedWords) || p.blockedWords.length > 200) return false;
+    if (!p.blockedWords.every((w: unknown) => typeof w === 'string' && w.length <= 40)) return false;
+  }
+  // Optional homework mode: { deadlineMs } between a minute and 30 days from now
+  if (p.homework !== undefined && p.homework !== null) {
+    if (typeof p.homework !== 'object') return false;
+    const d = p.homework.deadlineMs;
+    if (typeof d !== 'number' || !Number.isFinite(d)) return false;
+    if (d < Date.now() + 60_000 || d > Date.now() + 30 * 24 * 60 * 60 * 1000) return false;
+  }
+  // Validate imageRef / audioRef / videoRef paths: must be a simple filename, no path traversal
   const safeFilename = /^[\w.\-]{1,100}$/;
   for (const q of p.questions) {
     if (!q || typeof q !== 'object') return false;
     if (typeof q.id !== 'string' || !q.id.trim()) return false;
     if (typeof q.text !== 'string' || !q.text.trim()) return false;
-    if (!Array.isArray(q.options) || q.options.length < 2) return false;
-    for (const opt of q.options) {
-      if (!opt || typeof opt !== 'object') return false;
-      if (typeof opt.id !== 'string' || !opt.id.trim()) return false;
-      if (typeof opt.label !== 'string' || !opt.label.trim()) return false;
+    if (!validScoring(q.scoring)) return false;
+    // Optional per-question difficulty for adaptive rooms
+    if (q.difficulty !== undefined && !(typeof q.difficulty === 'string' && ['easy', 'medium', 'hard'].includes(q.difficulty.toLowerCase()))) return false;
+    if (q.type !== undefined && !['choice', 'text', 'order', 'number', 'poll', 'wordcloud'].includes(q.type)) return false;
+    if (q.type === 'text') {
+      // Typed answers: at least one non-empty accepted answer, no options
+      if (!Array.isArray(q.acceptedAnswers) || q.acceptedAnswers.length === 0 || q.acceptedAnswers.length > 20) return false;
+      for (const a of q.acceptedAnswers) {
+        if (typeof a !== 'string' || !a.trim()) return false;
+      }
+      if (q.maxTypos !== undefined && (!Number.isInteger(q.maxTypos) || q.maxTypos < 0 || q.maxTypos > 3)) return false;
+    } else if (q.type === 'order') {
+      // Ordering: 2–6 items listed in the correct sequence, unique IDs
+      if (!Array.isArray(q.options) || q.options.length < 2 || q.options.length > 6) return false;
+      for (const opt of q.options) {
+        if (!opt || typeof opt !== 'object') return false;
+        if (typeof opt.id !== 'string' || !opt.id.trim()) return false;
+        if (typeof opt.label !== 'string' || !opt.label.trim()) return false;
+      }
+      if (new Set(q.options.map((o: any) => o.id)).size !== q.options.length) return false;
+    } else if (q.type === 'number') {
+      // Estimation: finite min < max with the correct value inside the range
+      const nums = [q.correctValue, q.min, q.max];
+      if (!nums.every(n => typeof n === 'number' && Number.isFinite(n))) return false;
+      if (q.min >= q.max || q.correctValue < q.min || q.correctValue > q.max) return false;
+      if (q.step !== undefined && (typeof q.step !== 'number' || !(q.step > 0))) return false;
+      if (q.unit !== undefined && typeof q.unit !== 'string') return false;
+    } else if (q.type !== 'wordcloud') { // word clouds take free text, nothing to check
+      if (!Array.isArray(q.options) || q.options.length < 2) return false;
+      for (const opt of q.options) {
+        if (!opt || typeof opt !== 'object') return false;
+        if (typeof opt.id !== 'string' || !opt.id.trim()) return false;
+        if (typeof opt.label !== 'string' || !opt.label.trim()) return false;
+        // Picture answers: same plain-filename rule as the question's imageRef
+        if (opt.imageRef !== undefined && opt.imageRef !== null && (typeof opt.imageRef !== 'string' || !safeFilename.test(opt.imageRef))) return false;
+      }
+      // Polls have no right answer
+      if (q.type !== 'poll' && (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0)) return false;
+      // 'Select all that apply' only makes sense with a right answer to pick
+      if (q.multiSelect !== undefined && (typeof q.multiSelect !== 'boolean' || (q.multiSelect && q.type === 'poll'))) return false;
     }
-    if (!Array.isArray(q.correctOptionIds) || q.correctOptionIds.length === 0) return false;
     // imageRef must be a safe plain filename (no path separators, no traversal)
     if (q.imageRef !== undefined && q.imageRef !== null) {
       if (typeof q.imageRef !== 'string' || !safeFilename.test(q.imageRef)) return false;
     }
+    for (const field of ['audioRef', 'videoRef']) {
+      if (q[field] !== undefined && q[field] !== null && (typeof q[field] !== 'string' || !safeFilename.test(q[field]))) return false;
+    }
+    // One clip per question
+    if (q.audioRef && q.videoRef) return false;
+    // Optional explanation shown at the reveal, with an http(s) source link
+    if (q.explanation !== undefined && q.explanation !== null && (typeof q.explanation !== 'string' || q.explanation.length > 1000)) return false;
+    if (q.sourceUrl !== undefined && q.sourceUrl !== null) {
+      if (typeof q.sourceUrl !== 'string' || q.sourceUrl.length > 500 || !/^https?:\/\/\S+$/i.test(q.sourceUrl)) return false;
+    }
   }
   return true;
 }
@@ -61,7 +147,7 @@ function corsHeaders(origin: string | null): Record<string, string> {
   const allowed = isOriginAllowed(origin) ? origin! : 'https://questron.app';
   return {
     'Access-Control-Allow-Origin': allowed,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
     'Vary': 'Origin',
   };
@@ -94,7 +180,7 @@ function isRateLimited(ip: string, max: number): boolean {
 // ── Worker ────────────────────────────────────────────────────────────────
 
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     const url    = new URL(request.url);
     const origin = request.headers.get('Origin');
     const ip     = request.headers.get('CF-Connecting-IP') || 'unknown';
@@ -132,8 +218,8 @@ export default {
         );
 
         if (initRes.ok) {
-          const initData = await initRes.json() as { ok: boolean; questionOrder?: string[]; hostSecret?: string };
-          return corsJson({ ok: true, gameId, hostSecret: initData.hostSecret, questionOrder: initData.questionOrder ?? [] }, origin);
+          const initData = await initRes.json() as { ok: boolean; hostSecret?: string };
+          return corsJson({ ok: true, gameId, hostSecret: initData.hostSecret }, origin);
         }
       }
 
@@ -156,6 +242,54 @@ export default {
       return corsJson(data, origin);
     }
 
+    // ── GET /api/report/:gameId ── saved report for a finished game ───
+    // ?secret= (the host secret) or ?token= (the report token it derives)
+    if (url.pathname.startsWith('/api/report/') && request.method === 'GET') {
+      if (isRateLimited(ip, 30)) return corsJson({ ok: false, error: 'Too many requests.' }, origin, 429);
+
+      const gameId = url.pathname.slice('/api/report/'.length).toUpperCase();
+      if (!gameId || !/^[A-Z0-9]{6}$/.test(gameId)) {
+        return corsJson({ ok: false, error: 'Invalid room code.' }, origin, 400);
+      }
+
+      const secret = url.searchParams.get('secret');
+      const token  = secret ? await hostToken(secret, gameId, 'report') : url.searchParams.get('token');
+      if (!token || !/^[0-9a-f]{32}$/.test(token)) {
+        return corsJson({ ok: false, error: 'Missing or invalid credentials.' }, origin, 401);
+      }
+
+      // A wrong secret or token names a store that was never written, so it reads as not found
+      const store = env.REPORTS.get(env.REPORTS.idFromName(`${gameId}:${token}`));
+      const res   = await store.fetch(new Request(`https://report/${gameId}`));
+      const data  = await res.json() as { ok: boolean; report?: unknown };
+      // The token lets the host share the report without handing out the secret
+      return corsJson(data.ok ? { ...data, token } : data, origin, res.status);
+    }
+
+    // ── /room/:gameId/image|clip/:ref ── question media ──────────────
+    // PUT ?secret= uploads one (host only); GET serves it, cached at the edge.
+    // Media elements ask for byte ranges; the room answers those itself.
+    const imageMatch = url.pathname.match(/^\/room\/([A-Z0-9]{6})\/(?:image|clip)\/[^/]+$/);
+    if (imageMatch) {
+      const room = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(imageMatch[1]!));
+      if (request.method === 'PUT') {
+        if (isRateLimited(`${ip}:upload`, 60)) return corsJson({ ok: false, error: 'Too many requests.' }, origin, 429);
+        if (!isOriginAllowed(origin)) return corsJson({ ok: false, error: 'Forbidden origin.' }, origin, 403);
+        const res = await room.fetch(request);
+        return corsJson(await res.json(), origin, res.status);
+      }
+      if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+
+      const cache  = caches.default;
+      const ranged = request.headers.has('Range');
+      const hit    = ranged ? null : await cache.match(request);
+      if (hit) return hit;
+      if (isRateLimited(`${ip}:image`, ranged ? 300 : 100)) return new Response('Rate limited', { status: 429 });
+      const res = await room.fetch(request);
+      if (res.status === 200) ctx.waitUntil(cache.put(request, res.clone()));
+      return res;
+    }
+
     // ── GET /room/:gameId (WebSocket upgrade) ─────────────────────────
     if (url.pathname.startsWith('/room/')) {
       if (isRateLimited(ip, 20)) {